@@ -0,0 +1,297 @@
+/**
+ * Service worker that flushes the upload outbox (see src/utils/outbox.js).
+ *
+ * Sessions whose upload failed for lack of network are queued in the 'outbox' store of
+ * the app's IndexedDB database. This worker sends them to the stitching service when a
+ * Background Sync fires, or when a page asks for it ('flush-outbox' message) on start-up
+ * or when the browser comes back online. Results are written back to IndexedDB, posted
+ * to open pages ('outbox-result' message) and shown as a notification.
+ *
+ * It speaks the single-request ('sync') and job ('jobs', see src/utils/stitchJobs.js)
+ * protocols; sessions queued with the chunked protocol are submitted as one job. The
+ * capture manifest is built by the page when queueing. Keep the multipart layout in step
+ * with buildStitchFormData in src/utils/stitchProviders.js.
+ */
+
+const DB_NAME = 'panorama-app';
+const SYNC_TAG = 'panorama-outbox';
+const DEFAULT_POLL_INTERVAL = 2000;
+// How long one flush waits for a job before leaving it for the next one
+const MAX_JOB_WAIT = 4 * 60 * 1000;
+const THUMBNAIL_WIDTH = 240;
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(flushOutbox({ rethrow: true }));
+  }
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'flush-outbox') {
+    event.waitUntil(flushOutbox());
+  }
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+    const client = windows.find(win => 'focus' in win);
+    return client ? client.focus() : self.clients.openWindow(self.registration.scope);
+  }));
+});
+
+/** IndexedDB **/
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+// Open the app database at whatever version the page created; never create or upgrade it here
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME);
+  request.onupgradeneeded = () => request.transaction.abort();
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const readAll = (db, storeName) => promisify(db.transaction(storeName).objectStore(storeName).getAll());
+
+const readSessionCaptures = (db, sessionId) =>
+  promisify(db.transaction('captures').objectStore('captures').index('sessionId').getAll(sessionId))
+    .then(captures => captures.sort((a, b) => a.timestamp - b.timestamp));
+
+// Merge changes into a session record
+const updateSession = async (db, id, changes) => {
+  const transaction = db.transaction('sessions', 'readwrite');
+  const store = transaction.objectStore('sessions');
+  const existing = await promisify(store.get(id));
+  if (existing) store.put({ ...existing, ...changes });
+  return transactionDone(transaction);
+};
+
+const putRecord = (db, storeName, record) => {
+  const transaction = db.transaction(storeName, 'readwrite');
+  transaction.objectStore(storeName).put(record);
+  return transactionDone(transaction);
+};
+
+const deleteRecord = (db, storeName, key) => {
+  const transaction = db.transaction(storeName, 'readwrite');
+  transaction.objectStore(storeName).delete(key);
+  return transactionDone(transaction);
+};
+
+/** Stitching service **/
+
+// Thrown for failures that should be retried later (no network, 5xx, 429)
+class RetryLater extends Error {}
+
+// Same names as frameFilename in src/utils/captureManifest.js, which the manifest lists
+const FRAME_EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp' };
+
+const frameFilename = ({ blob, azimuth, elevation }, index) =>
+  `${String(index + 1).padStart(3, '0')}_e${elevation}_a${azimuth}.${FRAME_EXTENSIONS[blob.type] || 'png'}`;
+
+const buildStitchFormData = (captures, plan, manifest) => {
+  const formData = new FormData();
+  captures.forEach((capture, index) => formData.append('images', capture.blob, frameFilename(capture, index)));
+  formData.append('plan', JSON.stringify(plan));
+  formData.append('manifest', JSON.stringify(manifest));
+  return formData;
+};
+
+const request = async (url, config, options = {}) => {
+  const controller = new AbortController();
+  const timer = config.timeout ? setTimeout(() => controller.abort(), config.timeout) : null;
+  let response;
+  try {
+    response = await fetch(url, { ...options, headers: config.headers, signal: controller.signal });
+  } catch (err) {
+    throw new RetryLater(`The stitching service could not be reached (${err.message}).`);
+  } finally {
+    clearTimeout(timer);
+  }
+  if (response.status >= 500 || response.status === 429) {
+    throw new RetryLater(`The stitching service responded with status ${response.status}.`);
+  }
+  if (!response.ok) {
+    throw new Error(`The stitching service responded with status ${response.status}.`);
+  }
+  return response;
+};
+
+const jobUrl = (config, jobId) => `${config.endpoint.replace(/\/+$/, '')}/jobs/${encodeURIComponent(jobId)}`;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Poll a job until it finishes; resolves with null when it is still running after MAX_JOB_WAIT
+const waitForJob = async (jobId, config) => {
+  const deadline = Date.now() + MAX_JOB_WAIT;
+  while (Date.now() < deadline) {
+    const job = await (await request(jobUrl(config, jobId), config)).json();
+    if (job.status === 'failed') throw new Error(job.error || 'Stitching failed on the server.');
+    if (job.status === 'done') {
+      const resultUrl = job.resultUrl
+        ? new URL(job.resultUrl, `${jobUrl(config, jobId)}/`).href
+        : `${jobUrl(config, jobId)}/result`;
+      return (await request(resultUrl, config)).blob();
+    }
+    await delay(config.pollInterval || DEFAULT_POLL_INTERVAL);
+  }
+  return null;
+};
+
+// Small JPEG data URL for the library card; skipped where OffscreenCanvas is missing
+const createThumbnail = async (blob) => {
+  if (typeof OffscreenCanvas === 'undefined') return null;
+  const bitmap = await createImageBitmap(blob);
+  const scale = Math.min(1, THUMBNAIL_WIDTH / bitmap.width);
+  const canvas = new OffscreenCanvas(Math.round(bitmap.width * scale), Math.round(bitmap.height * scale));
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  const jpeg = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.7 });
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onloadend = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(jpeg);
+  });
+};
+
+/** Outbox **/
+
+const notify = async (message) => {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  windows.forEach(client => client.postMessage({ type: 'outbox-result', ...message }));
+
+  if (self.Notification && Notification.permission === 'granted') {
+    const body = message.status === 'stitched'
+      ? `"${message.name}" has been stitched.`
+      : `"${message.name}" could not be stitched: ${message.error}`;
+    await self.registration.showNotification('Panorama', { body, tag: `panorama-${message.sessionId}` });
+  }
+};
+
+const sessionName = (session) =>
+  session.name || `Panorama ${new Date(session.createdAt).toLocaleString()}`;
+
+// Upload one queued session; resolves with the panorama, or null while its job is still running
+const sendEntry = async (db, entry, session) => {
+  const { config } = entry;
+  if (!entry.jobId) {
+    const captures = await readSessionCaptures(db, entry.sessionId);
+    if (captures.length === 0) throw new Error('The session has no captures.');
+    const formData = buildStitchFormData(captures, session.plan, entry.manifest);
+
+    if (config.protocol === 'sync') {
+      const response = await request(config.endpoint, config, { method: 'POST', body: formData });
+      return response.blob();
+    }
+
+    const response = await request(`${config.endpoint.replace(/\/+$/, '')}/jobs`, config, { method: 'POST', body: formData });
+    const data = await response.json();
+    const jobId = data && (data.jobId || data.id);
+    if (!jobId) throw new Error('The stitching service did not return a job id.');
+    entry.jobId = String(jobId);
+    await putRecord(db, 'outbox', entry);
+  }
+  return waitForJob(entry.jobId, config);
+};
+
+const flushEntry = async (db, entry) => {
+  const session = await promisify(db.transaction('sessions').objectStore('sessions').get(entry.sessionId));
+  if (!session) {
+    await deleteRecord(db, 'outbox', entry.sessionId);
+    return;
+  }
+
+  let blob;
+  try {
+    blob = await sendEntry(db, entry, session);
+  } catch (err) {
+    if (err instanceof RetryLater) {
+      await putRecord(db, 'outbox', { ...entry, attempts: (entry.attempts || 0) + 1, lastError: err.message });
+      throw err;
+    }
+    await deleteRecord(db, 'outbox', entry.sessionId);
+    await updateSession(db, entry.sessionId, { status: 'failed', error: err.message, updatedAt: Date.now() });
+    await notify({ sessionId: entry.sessionId, name: sessionName(session), status: 'failed', error: err.message });
+    return;
+  }
+  if (!blob) return;
+
+  const panorama = new Blob([blob], { type: blob.type || 'image/jpeg' });
+  await putRecord(db, 'panoramas', { sessionId: entry.sessionId, blob: panorama, method: 'remote', createdAt: Date.now() });
+  // Tiles of an earlier panorama no longer match
+  if (db.objectStoreNames.contains('tiles')) {
+    await deleteRecord(db, 'tiles', IDBKeyRange.bound([entry.sessionId], [entry.sessionId, []]));
+  }
+  let thumbnail = null;
+  try {
+    thumbnail = await createThumbnail(panorama);
+  } catch (err) {
+    console.warn('Unable to create thumbnail:', err);
+  }
+  await updateSession(db, entry.sessionId, {
+    status: 'stitched',
+    stitchMethod: 'remote',
+    stitchedAt: Date.now(),
+    updatedAt: Date.now(),
+    error: null,
+    ...(thumbnail ? { thumbnail } : {}),
+  });
+  await deleteRecord(db, 'outbox', entry.sessionId);
+  await notify({ sessionId: entry.sessionId, name: sessionName(session), status: 'stitched' });
+};
+
+// Ask for another Background Sync while sessions are left in the outbox
+const scheduleSync = async () => {
+  if (!self.registration.sync) return;
+  try {
+    await self.registration.sync.register(SYNC_TAG);
+  } catch (err) {
+    console.warn('Unable to schedule background sync:', err);
+  }
+};
+
+let flushing = null;
+
+// Send every queued session; with rethrow, a transient failure rejects so Background Sync retries
+function flushOutbox({ rethrow = false } = {}) {
+  if (!flushing) {
+    flushing = (async () => {
+      const db = await openDatabase();
+      try {
+        if (!db.objectStoreNames.contains('outbox')) return;
+        let retryLater = null;
+        const entries = (await readAll(db, 'outbox')).sort((a, b) => a.queuedAt - b.queuedAt);
+        for (const entry of entries) {
+          try {
+            await flushEntry(db, entry);
+          } catch (err) {
+            console.warn(`Upload of session ${entry.sessionId} postponed:`, err);
+            retryLater = err;
+          }
+        }
+        if ((await readAll(db, 'outbox')).length > 0) await scheduleSync();
+        if (retryLater) throw retryLater;
+      } finally {
+        db.close();
+      }
+    })().finally(() => {
+      flushing = null;
+    });
+  }
+  return rethrow ? flushing : flushing.catch(() => {});
+}
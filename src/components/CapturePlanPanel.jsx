@@ -0,0 +1,193 @@
+// src/components/CapturePlanPanel.jsx
+
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  AUTO_CAPTURE_PLAN_ID,
+  CAPTURE_PLAN_PRESETS,
+  DEFAULT_TARGET_OVERLAP,
+  capturesForRow,
+  generateOverlapPlan,
+  getCapturePlanPreset,
+  validateCapturePlan,
+} from '../utils/capturePlans';
+
+const CUSTOM_PLAN_ID = 'custom';
+
+const inputStyle = {
+  width: '60px',
+  padding: '4px',
+  borderRadius: '4px',
+  border: 'none',
+  fontSize: '13px',
+};
+
+const smallButtonStyle = {
+  display: 'inline-block',
+  margin: '0 0 0 6px',
+  padding: '4px 8px',
+  background: '#ffffffee',
+  border: 'none',
+  cursor: 'pointer',
+  borderRadius: '4px',
+  fontSize: '12px',
+};
+
+// Preset picker, overlap-driven plan generator and a row editor for custom capture plans
+const CapturePlanPanel = ({ plan, cameraFov, onChange, disabled }) => {
+  const [draftRows, setDraftRows] = useState(plan.rows);
+  const [editing, setEditing] = useState(plan.id === CUSTOM_PLAN_ID);
+  const [overlapPercent, setOverlapPercent] = useState(
+    Math.round((plan.overlap ?? DEFAULT_TARGET_OVERLAP) * 100)
+  );
+
+  // Keep the editor and the overlap field in sync when the plan is changed from outside
+  useEffect(() => {
+    setDraftRows(plan.rows);
+    if (plan.overlap !== undefined) setOverlapPercent(Math.round(plan.overlap * 100));
+  }, [plan]);
+
+  const draftPlan = { id: CUSTOM_PLAN_ID, name: 'Custom', rows: draftRows };
+  const draftError = validateCapturePlan(draftPlan);
+  const draftCaptures = draftError ? 0 : draftRows.reduce((total, row) => total + capturesForRow(row), 0);
+
+  const handlePresetChange = (e) => {
+    if (e.target.value === CUSTOM_PLAN_ID) {
+      setEditing(true);
+      return;
+    }
+    setEditing(false);
+    if (e.target.value === AUTO_CAPTURE_PLAN_ID) {
+      onChange(generateOverlapPlan(cameraFov, overlapPercent / 100));
+      return;
+    }
+    onChange(getCapturePlanPreset(e.target.value));
+  };
+
+  const handleOverlapChange = (e) => {
+    const percent = Number(e.target.value);
+    setOverlapPercent(percent);
+    if (percent >= 0 && percent <= 90) {
+      onChange(generateOverlapPlan(cameraFov, percent / 100));
+    }
+  };
+
+  const updateRow = (index, field, value) => {
+    setDraftRows(rows => rows.map((row, i) => (i === index ? { ...row, [field]: Number(value) } : row)));
+  };
+
+  const addRow = () => {
+    setDraftRows(rows => [...rows, { elevation: 0, azimuthStep: 45 }]);
+  };
+
+  const removeRow = (index) => {
+    setDraftRows(rows => rows.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div style={{ marginBottom: '15px', fontSize: '14px' }}>
+      <label>
+        <strong>Capture plan:</strong>{' '}
+        <select
+          value={editing ? CUSTOM_PLAN_ID : plan.id}
+          onChange={handlePresetChange}
+          disabled={disabled}
+          style={{ padding: '4px', borderRadius: '4px' }}
+        >
+          {CAPTURE_PLAN_PRESETS.map(preset => (
+            <option key={preset.id} value={preset.id}>{preset.name}</option>
+          ))}
+          <option value={AUTO_CAPTURE_PLAN_ID}>Auto from camera FOV</option>
+          <option value={CUSTOM_PLAN_ID}>Custom…</option>
+        </select>
+      </label>
+
+      {!editing && plan.id === AUTO_CAPTURE_PLAN_ID && (
+        <div style={{ marginTop: '10px' }}>
+          <label>
+            Overlap %{' '}
+            <input
+              type="number"
+              min={0}
+              max={90}
+              value={overlapPercent}
+              onChange={handleOverlapChange}
+              disabled={disabled}
+              style={inputStyle}
+            />
+          </label>
+          <div style={{ marginTop: '6px', fontSize: '12px' }}>
+            FOV {cameraFov.hfov}° × {cameraFov.vfov}° · {plan.rows.length} rows
+          </div>
+        </div>
+      )}
+
+      {editing && !disabled && (
+        <div style={{ marginTop: '10px' }}>
+          {draftRows.map((row, index) => (
+            <div key={index} style={{ marginBottom: '6px' }}>
+              <label>
+                Elev{' '}
+                <input
+                  type="number"
+                  min={-90}
+                  max={90}
+                  value={row.elevation}
+                  onChange={(e) => updateRow(index, 'elevation', e.target.value)}
+                  style={inputStyle}
+                />
+              </label>{' '}
+              <label>
+                Step{' '}
+                <input
+                  type="number"
+                  min={1}
+                  max={360}
+                  value={row.azimuthStep}
+                  onChange={(e) => updateRow(index, 'azimuthStep', e.target.value)}
+                  style={inputStyle}
+                />
+              </label>
+              <button onClick={() => removeRow(index)} style={smallButtonStyle} aria-label="Remove Row">
+                &#10005;
+              </button>
+            </div>
+          ))}
+          <button onClick={addRow} style={{ ...smallButtonStyle, margin: '4px 6px 0 0' }}>
+            Add row
+          </button>
+          <button
+            onClick={() => onChange(draftPlan)}
+            disabled={Boolean(draftError)}
+            style={{ ...smallButtonStyle, margin: '4px 0 0 0' }}
+          >
+            Use plan ({draftCaptures} shots)
+          </button>
+          {draftError && (
+            <div style={{ marginTop: '6px', color: 'red', fontSize: '12px' }}>{draftError}</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+CapturePlanPanel.propTypes = {
+  plan: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string,
+    rows: PropTypes.arrayOf(PropTypes.shape({
+      elevation: PropTypes.number.isRequired,
+      azimuthStep: PropTypes.number.isRequired,
+    })).isRequired,
+    overlap: PropTypes.number,
+  }).isRequired,
+  cameraFov: PropTypes.shape({
+    hfov: PropTypes.number.isRequired,
+    vfov: PropTypes.number.isRequired,
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+};
+
+export default CapturePlanPanel;
@@ -0,0 +1,73 @@
+// src/components/CaptureSettingsPanel.jsx
+
+import PropTypes from 'prop-types';
+
+const inputStyle = {
+  width: '60px',
+  padding: '4px',
+  borderRadius: '4px',
+  border: 'none',
+  fontSize: '13px',
+};
+
+// Each field: settings key, label and input limits
+const FIELDS = [
+  { key: 'rollTolerance', label: 'Roll tolerance (°)', min: 1, max: 45, step: 1 },
+  { key: 'holdTime', label: 'Hold time (ms)', min: 0, max: 5000, step: 100 },
+  { key: 'maxAngularSpeed', label: 'Max rotation (°/s)', min: 1, max: 180, step: 1 },
+  { key: 'qualityCheck', label: 'Reject blurry/badly exposed shots', type: 'checkbox' },
+  { key: 'minSharpness', label: 'Min sharpness', min: 0, max: 1000, step: 5 },
+  { key: 'minLuminance', label: 'Min brightness', min: 0, max: 255, step: 5 },
+  { key: 'maxLuminance', label: 'Max brightness', min: 0, max: 255, step: 5 },
+  { key: 'maxClippedRatio', label: 'Max clipped ratio', min: 0, max: 1, step: 0.05 },
+  { key: 'recordLocation', label: 'Save GPS location in exported panoramas', type: 'checkbox' },
+  { key: 'coverageOverlay', label: 'Show coverage gaps on the sphere', type: 'checkbox' },
+];
+
+// Compact editor for the auto-capture settings
+const CaptureSettingsPanel = ({ settings, onChange }) => {
+  const handleChange = (key, value) => {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return;
+    onChange({ ...settings, [key]: number });
+  };
+
+  return (
+    <div style={{ marginTop: '10px', fontSize: '13px' }}>
+      {FIELDS.map(field => field.type === 'checkbox' ? (
+        <div key={field.key} style={{ marginBottom: '6px' }}>
+          <label>
+            <input
+              type="checkbox"
+              checked={Boolean(settings[field.key])}
+              onChange={(e) => onChange({ ...settings, [field.key]: e.target.checked })}
+            />{' '}
+            {field.label}
+          </label>
+        </div>
+      ) : (
+        <div key={field.key} style={{ marginBottom: '6px' }}>
+          <label>
+            {field.label}{' '}
+            <input
+              type="number"
+              min={field.min}
+              max={field.max}
+              step={field.step}
+              value={settings[field.key]}
+              onChange={(e) => handleChange(field.key, e.target.value)}
+              style={inputStyle}
+            />
+          </label>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+CaptureSettingsPanel.propTypes = {
+  settings: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+export default CaptureSettingsPanel;
@@ -0,0 +1,397 @@
+// src/components/EquirectViewer.jsx
+
+import { useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import * as THREE from 'three';
+import { createLookControls, disposeLookControls, isGyroControls, requestOrientationPermission } from '../utils/lookControls';
+import { createTiledPanorama } from '../utils/tiledPanorama';
+import { needsTiling } from '../utils/tilePyramid';
+import PanoramaExportPanel from './PanoramaExportPanel';
+
+const SPHERE_RADIUS = 50;
+const MIN_FOV = 30;
+const MAX_FOV = 100;
+const DEFAULT_FOV = 75;
+const AUTO_ROTATE_SPEED = 0.1; // radians per second
+const PLACEHOLDER_WIDTH = 4096; // Width shown of panoramas that are streamed as tiles
+
+const toolbarButtonStyle = {
+  padding: '8px 14px',
+  background: '#ffffffee',
+  border: 'none',
+  cursor: 'pointer',
+  borderRadius: '5px',
+  fontWeight: 'bold',
+  fontSize: '14px',
+};
+
+const clampFov = (fov) => Math.min(MAX_FOV, Math.max(MIN_FOV, fov));
+
+const getFullscreenElement = () => document.fullscreenElement || document.webkitFullscreenElement || null;
+
+// Texture of a panorama shown as one sphere. Panoramas too large for one texture are
+// decoded straight to PLACEHOLDER_WIDTH and stand in until their tiles are ready
+const loadPanoramaTexture = async (src, maxTextureSize) => {
+  const blob = await (await fetch(src)).blob();
+  const options = { imageOrientation: 'flipY' }; // ImageBitmaps ignore texture.flipY
+  if (await needsTiling(blob, maxTextureSize)) {
+    options.resizeWidth = Math.min(PLACEHOLDER_WIDTH, maxTextureSize);
+    options.resizeQuality = 'medium';
+  }
+  const texture = new THREE.Texture(await createImageBitmap(blob, options));
+  texture.flipY = false;
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.needsUpdate = true;
+  return texture;
+};
+
+// 360° viewer for a stitched equirectangular panorama. Borrows the capture scene's
+// renderer while open (the caller pauses its own render loop) and hands it back on close.
+// Panoramas with a tile pyramid are streamed tile by tile instead of loaded as one texture.
+const EquirectViewer = ({ renderer, src, tiles = null, tilingProgress = null, onExport, onExportFormat, onClose }) => {
+  const containerRef = useRef(null);
+  const sceneRef = useRef(null);
+  const cameraRef = useRef(null);
+  const controlsRef = useRef(null);
+  const panoramaRef = useRef(null); // { object, rotation, update? } currently shown
+  const autoRotateRef = useRef(true);
+  const [autoRotate, setAutoRotate] = useState(true);
+  const [gyro, setGyro] = useState(false);
+  const [fullscreen, setFullscreen] = useState(false);
+  const [showExportPanel, setShowExportPanel] = useState(false);
+  const gyroSupported = typeof window !== 'undefined' && 'DeviceOrientationEvent' in window;
+
+  autoRotateRef.current = autoRotate;
+
+  // Scene, canvas hand-over, render loop and zoom input
+  useEffect(() => {
+    const container = containerRef.current;
+    const canvas = renderer.domElement;
+    const originalParent = canvas.parentElement;
+    container.appendChild(canvas);
+    renderer.setSize(container.clientWidth, container.clientHeight);
+
+    const scene = new THREE.Scene();
+    const camera = new THREE.PerspectiveCamera(
+      DEFAULT_FOV,
+      container.clientWidth / container.clientHeight,
+      0.1,
+      SPHERE_RADIUS * 2
+    );
+    camera.position.set(0, 0, 1);
+    sceneRef.current = scene;
+    cameraRef.current = camera;
+
+    let frameId;
+    let previousTime = performance.now();
+    let spin = 0; // Auto-rotation so far, kept when the panorama is swapped for its tiles
+    const viewportSize = new THREE.Vector2();
+    const animate = () => {
+      frameId = requestAnimationFrame(animate);
+      const now = performance.now();
+      if (autoRotateRef.current) {
+        spin += AUTO_ROTATE_SPEED * ((now - previousTime) / 1000);
+      }
+      previousTime = now;
+      if (controlsRef.current) controlsRef.current.update();
+      const panorama = panoramaRef.current;
+      if (panorama) {
+        panorama.object.rotation.y = panorama.rotation + spin;
+        if (panorama.update) panorama.update(camera, renderer.getDrawingBufferSize(viewportSize).y);
+      }
+      renderer.render(scene, camera);
+    };
+    animate();
+
+    const onResize = () => {
+      camera.aspect = container.clientWidth / container.clientHeight;
+      camera.updateProjectionMatrix();
+      renderer.setSize(container.clientWidth, container.clientHeight);
+    };
+    const resizeObserver = new ResizeObserver(onResize);
+    resizeObserver.observe(container);
+
+    const setFov = (fov) => {
+      camera.fov = clampFov(fov);
+      camera.updateProjectionMatrix();
+    };
+
+    // Wheel zoom
+    const onWheel = (event) => {
+      event.preventDefault();
+      setFov(camera.fov + event.deltaY * 0.05);
+    };
+
+    // Pinch zoom; any touch or drag also stops auto-rotate
+    const pointers = new Map();
+    let pinchStart = null;
+    const pinchDistance = () => {
+      const [a, b] = [...pointers.values()];
+      return Math.hypot(a.x - b.x, a.y - b.y);
+    };
+    const onPointerDown = (event) => {
+      setAutoRotate(false);
+      pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+      if (pointers.size === 2) {
+        pinchStart = { distance: pinchDistance(), fov: camera.fov };
+      }
+    };
+    const onPointerMove = (event) => {
+      if (!pointers.has(event.pointerId)) return;
+      pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+      if (pinchStart && pointers.size === 2) {
+        setFov(pinchStart.fov * (pinchStart.distance / Math.max(pinchDistance(), 1)));
+      }
+    };
+    const onPointerEnd = (event) => {
+      pointers.delete(event.pointerId);
+      if (pointers.size < 2) pinchStart = null;
+    };
+
+    canvas.addEventListener('wheel', onWheel, { passive: false });
+    canvas.addEventListener('pointerdown', onPointerDown);
+    canvas.addEventListener('pointermove', onPointerMove);
+    canvas.addEventListener('pointerup', onPointerEnd);
+    canvas.addEventListener('pointercancel', onPointerEnd);
+
+    return () => {
+      cancelAnimationFrame(frameId);
+      resizeObserver.disconnect();
+      canvas.removeEventListener('wheel', onWheel);
+      canvas.removeEventListener('pointerdown', onPointerDown);
+      canvas.removeEventListener('pointermove', onPointerMove);
+      canvas.removeEventListener('pointerup', onPointerEnd);
+      canvas.removeEventListener('pointercancel', onPointerEnd);
+      sceneRef.current = null;
+      cameraRef.current = null;
+
+      // Hand the canvas back to the capture scene
+      if (originalParent) {
+        originalParent.appendChild(canvas);
+        renderer.setSize(originalParent.clientWidth, originalParent.clientHeight);
+      }
+    };
+  }, [renderer]);
+
+  // The panorama itself: streamed tiles when there is a pyramid, one texture otherwise
+  useEffect(() => {
+    const scene = sceneRef.current;
+    let panorama;
+    let dispose;
+    if (tiles) {
+      const tiled = createTiledPanorama(tiles, SPHERE_RADIUS);
+      panorama = { object: tiled.object, rotation: 0, update: tiled.update };
+      dispose = tiled.dispose;
+    } else {
+      // Inside-out sphere; rotated so the image centre (azimuth 0) faces -z like the capture scene
+      const geometry = new THREE.SphereGeometry(SPHERE_RADIUS, 64, 32);
+      geometry.scale(-1, 1, 1);
+      const material = new THREE.MeshBasicMaterial({ color: 0x000000 });
+      let disposed = false;
+      loadPanoramaTexture(src, renderer.capabilities.maxTextureSize)
+        .then(texture => {
+          if (disposed) {
+            texture.image.close();
+            texture.dispose();
+            return;
+          }
+          material.map = texture;
+          material.color.set(0xffffff);
+          material.needsUpdate = true;
+        })
+        .catch(err => console.warn('Unable to load the panorama:', err));
+      panorama = { object: new THREE.Mesh(geometry, material), rotation: -Math.PI / 2 };
+      dispose = () => {
+        disposed = true;
+        geometry.dispose();
+        if (material.map) {
+          material.map.image.close();
+          material.map.dispose();
+        }
+        material.dispose();
+      };
+    }
+    scene.add(panorama.object);
+    panoramaRef.current = panorama;
+
+    return () => {
+      scene.remove(panorama.object);
+      panoramaRef.current = null;
+      dispose();
+    };
+  }, [renderer, src, tiles]);
+
+  // Drag or gyro look-around
+  useEffect(() => {
+    const camera = cameraRef.current;
+    if (!camera) return;
+    let cancelled = false;
+
+    const canvas = renderer.domElement;
+    const touchAction = canvas.style.touchAction; // OrbitControls resets it on dispose
+
+    camera.position.set(0, 0, gyro ? 0 : 1);
+    createLookControls(camera, canvas, { gyro })
+      .then(controls => {
+        if (cancelled) {
+          disposeLookControls(controls);
+          return;
+        }
+        if (!isGyroControls(controls)) {
+          // Drag the panorama itself rather than orbiting a target; zoom is FOV based
+          controls.enableZoom = false;
+          controls.rotateSpeed = -0.3;
+          if (gyro) setGyro(false); // Permission denied
+        }
+        controlsRef.current = controls;
+      })
+      .catch(err => {
+        console.error(err);
+        setGyro(false);
+      });
+
+    return () => {
+      cancelled = true;
+      disposeLookControls(controlsRef.current);
+      controlsRef.current = null;
+      canvas.style.touchAction = touchAction;
+    };
+  }, [gyro, renderer, src]);
+
+  // Track fullscreen changes (including Esc)
+  useEffect(() => {
+    const onFullscreenChange = () => setFullscreen(getFullscreenElement() === containerRef.current);
+    document.addEventListener('fullscreenchange', onFullscreenChange);
+    document.addEventListener('webkitfullscreenchange', onFullscreenChange);
+    return () => {
+      document.removeEventListener('fullscreenchange', onFullscreenChange);
+      document.removeEventListener('webkitfullscreenchange', onFullscreenChange);
+    };
+  }, []);
+
+  const toggleFullscreen = () => {
+    const container = containerRef.current;
+    if (getFullscreenElement()) {
+      (document.exitFullscreen || document.webkitExitFullscreen).call(document);
+    } else if (container.requestFullscreen) {
+      container.requestFullscreen().catch(err => console.warn('Fullscreen unavailable:', err));
+    } else if (container.webkitRequestFullscreen) {
+      container.webkitRequestFullscreen();
+    }
+  };
+
+  // iOS only grants orientation access from a user gesture, so it is asked for on the click
+  const toggleGyro = async () => {
+    if (gyro) {
+      setGyro(false);
+    } else if (await requestOrientationPermission()) {
+      setGyro(true);
+    }
+  };
+
+  const handleClose = () => {
+    if (getFullscreenElement()) {
+      (document.exitFullscreen || document.webkitExitFullscreen).call(document);
+    }
+    onClose();
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      style={{
+        position: 'absolute',
+        top: 0,
+        left: 0,
+        width: '100%',
+        height: '100%',
+        backgroundColor: '#000',
+        zIndex: 5,
+        touchAction: 'none',
+      }}
+    >
+      <div
+        style={{
+          position: 'absolute',
+          bottom: '20px',
+          left: '50%',
+          transform: 'translateX(-50%)',
+          display: 'flex',
+          gap: '8px',
+          flexWrap: 'wrap',
+          justifyContent: 'center',
+          zIndex: 1,
+        }}
+      >
+        <button onClick={() => setAutoRotate(!autoRotate)} style={toolbarButtonStyle}>
+          {autoRotate ? 'Stop Rotation' : 'Auto-Rotate'}
+        </button>
+        {gyroSupported && (
+          <button onClick={toggleGyro} style={toolbarButtonStyle}>
+            {gyro ? 'Drag to Look' : 'Gyro Look'}
+          </button>
+        )}
+        <button onClick={toggleFullscreen} style={toolbarButtonStyle}>
+          {fullscreen ? 'Exit Fullscreen' : 'Fullscreen'}
+        </button>
+        <button onClick={onExport} style={toolbarButtonStyle}>
+          Export Panorama
+        </button>
+        <button onClick={() => setShowExportPanel(!showExportPanel)} style={toolbarButtonStyle}>
+          More Formats
+        </button>
+      </div>
+      {tilingProgress !== null && (
+        <div
+          style={{
+            position: 'absolute',
+            top: '20px',
+            left: '20px',
+            zIndex: 1,
+            padding: '6px 10px',
+            color: 'white',
+            background: 'rgba(0,0,0,0.6)',
+            borderRadius: '5px',
+            fontFamily: 'Arial, sans-serif',
+            fontSize: '13px',
+          }}
+        >
+          Preparing full resolution… {tilingProgress}%
+        </div>
+      )}
+      {showExportPanel && (
+        <PanoramaExportPanel onExport={onExportFormat} onClose={() => setShowExportPanel(false)} />
+      )}
+      <button
+        onClick={handleClose}
+        style={{
+          ...toolbarButtonStyle,
+          position: 'absolute',
+          top: '20px',
+          right: '20px',
+          zIndex: 1,
+          background: '#ff4d4dee',
+          color: '#fff',
+        }}
+      >
+        Close
+      </button>
+    </div>
+  );
+};
+
+EquirectViewer.propTypes = {
+  renderer: PropTypes.object.isRequired,
+  src: PropTypes.string.isRequired,
+  tiles: PropTypes.shape({
+    tileSize: PropTypes.number.isRequired,
+    levelCount: PropTypes.number.isRequired,
+    loadTile: PropTypes.func.isRequired,
+  }),
+  tilingProgress: PropTypes.number,
+  onExport: PropTypes.func.isRequired,
+  onExportFormat: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default EquirectViewer;
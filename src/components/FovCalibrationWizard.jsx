@@ -0,0 +1,166 @@
+// src/components/FovCalibrationWizard.jsx
+
+import { useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { CALIBRATION_GUIDE_INSET, fovFromRotation } from '../utils/fovCalibration';
+
+// Horizontal FOV is measured first (left → right guide), then vertical (top → bottom guide)
+const STEPS = [
+  { axis: 'hfov', edge: 'left', text: 'Point the device so a distinct feature (a door frame, a lamp) sits on the LEFT guide, then press Mark.' },
+  { axis: 'hfov', edge: 'right', text: 'Turn the device slowly to the left until the same feature sits on the RIGHT guide, then press Mark.' },
+  { axis: 'vfov', edge: 'top', text: 'Now put a feature on the TOP guide and press Mark.' },
+  { axis: 'vfov', edge: 'bottom', text: 'Tilt the device up until the same feature sits on the BOTTOM guide, then press Mark.' },
+];
+
+const guideColor = 'rgba(255,0,0,0.8)';
+const insetPercent = `${CALIBRATION_GUIDE_INSET * 100}%`;
+
+const buttonStyle = {
+  display: 'inline-block',
+  margin: '10px 5px 0',
+  padding: '10px 20px',
+  background: '#ffffffee',
+  border: 'none',
+  cursor: 'pointer',
+  borderRadius: '5px',
+  fontWeight: 'bold',
+  fontSize: '14px',
+};
+
+// Full-screen wizard that measures the back camera FOV from device rotation
+const FovCalibrationWizard = ({ stream, getCameraQuaternion, currentFov, onSave, onCancel }) => {
+  const videoRef = useRef(null);
+  const marksRef = useRef([]);
+  const [stepIndex, setStepIndex] = useState(0);
+  const [measured, setMeasured] = useState({});
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (videoRef.current && stream) {
+      videoRef.current.srcObject = stream;
+    }
+  }, [stream]);
+
+  const step = STEPS[stepIndex];
+  const done = stepIndex >= STEPS.length;
+
+  const handleMark = () => {
+    const quaternion = getCameraQuaternion();
+    if (!quaternion) {
+      setError('Device orientation is not available on this device.');
+      return;
+    }
+    setError(null);
+
+    // Second mark of a pair: compute the FOV for that axis
+    if (stepIndex % 2 === 1) {
+      const fov = fovFromRotation(marksRef.current[stepIndex - 1], quaternion);
+      if (fov === null) {
+        setError('That measurement looks wrong. Please repeat both marks for this axis.');
+        setStepIndex(stepIndex - 1);
+        return;
+      }
+      setMeasured(prev => ({ ...prev, [step.axis]: fov }));
+    }
+    marksRef.current[stepIndex] = quaternion;
+    setStepIndex(stepIndex + 1);
+  };
+
+  const restart = () => {
+    marksRef.current = [];
+    setMeasured({});
+    setError(null);
+    setStepIndex(0);
+  };
+
+  return (
+    <div
+      style={{
+        position: 'absolute',
+        top: 0,
+        left: 0,
+        width: '100%',
+        height: '100%',
+        backgroundColor: 'rgba(0,0,0,0.95)',
+        zIndex: 6,
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        justifyContent: 'center',
+        color: 'white',
+        fontFamily: 'Arial, sans-serif',
+        textAlign: 'center',
+        padding: '20px',
+        boxSizing: 'border-box',
+      }}
+    >
+      <h2 style={{ margin: '0 0 10px' }}>Camera Calibration</h2>
+
+      {/* Raw camera frame with the measurement guides */}
+      <div style={{ position: 'relative', display: 'inline-block' }}>
+        <video
+          ref={videoRef}
+          autoPlay
+          playsInline
+          muted
+          style={{ display: 'block', maxWidth: '100%', maxHeight: '60vh', margin: 0, border: 'none', borderRadius: 0 }}
+        />
+        {step && step.axis === 'hfov' && (
+          <>
+            <div style={{ position: 'absolute', top: 0, bottom: 0, left: insetPercent, borderLeft: `2px ${step.edge === 'left' ? 'solid' : 'dashed'} ${guideColor}` }} />
+            <div style={{ position: 'absolute', top: 0, bottom: 0, right: insetPercent, borderRight: `2px ${step.edge === 'right' ? 'solid' : 'dashed'} ${guideColor}` }} />
+          </>
+        )}
+        {step && step.axis === 'vfov' && (
+          <>
+            <div style={{ position: 'absolute', left: 0, right: 0, top: insetPercent, borderTop: `2px ${step.edge === 'top' ? 'solid' : 'dashed'} ${guideColor}` }} />
+            <div style={{ position: 'absolute', left: 0, right: 0, bottom: insetPercent, borderBottom: `2px ${step.edge === 'bottom' ? 'solid' : 'dashed'} ${guideColor}` }} />
+          </>
+        )}
+      </div>
+
+      <div style={{ marginTop: '15px', maxWidth: '400px', fontSize: '15px' }}>
+        {done
+          ? `Measured FOV: ${measured.hfov}° × ${measured.vfov}° (was ${currentFov.hfov}° × ${currentFov.vfov}°).`
+          : step.text}
+      </div>
+
+      {error && (
+        <div style={{ marginTop: '10px', color: 'red', fontSize: '14px' }}>{error}</div>
+      )}
+
+      <div>
+        {done ? (
+          <>
+            <button onClick={() => onSave({ hfov: measured.hfov, vfov: measured.vfov })} style={buttonStyle}>
+              Save
+            </button>
+            <button onClick={restart} style={buttonStyle}>
+              Repeat
+            </button>
+          </>
+        ) : (
+          <button onClick={handleMark} style={buttonStyle}>
+            Mark
+          </button>
+        )}
+        <button onClick={onCancel} style={{ ...buttonStyle, background: '#ff4d4dee', color: '#fff' }}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+FovCalibrationWizard.propTypes = {
+  stream: PropTypes.object,
+  getCameraQuaternion: PropTypes.func.isRequired,
+  currentFov: PropTypes.shape({
+    hfov: PropTypes.number.isRequired,
+    vfov: PropTypes.number.isRequired,
+  }).isRequired,
+  onSave: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+export default FovCalibrationWizard;
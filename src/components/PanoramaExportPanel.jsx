@@ -0,0 +1,191 @@
+// src/components/PanoramaExportPanel.jsx
+
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { CUBEMAP_LAYOUTS, EXPORT_FORMATS, MAX_OUTPUT_SIZE } from '../utils/panoramaReproject';
+
+const VIEW_KINDS = [
+  { id: 'cubemap', name: 'Cubemap' },
+  { id: 'planet', name: 'Little planet' },
+  { id: 'rectilinear', name: 'Flat crop' },
+  { id: 'tiles', name: 'Tile pyramid (ZIP)' },
+];
+
+const DEFAULT_VIEWS = {
+  cubemap: { kind: 'cubemap', layout: 'faces', size: 1024 },
+  planet: { kind: 'planet', size: 2048, fov: 300, heading: 0 },
+  rectilinear: { kind: 'rectilinear', width: 1920, height: 1080, heading: 0, pitch: 0, fov: 90 },
+  tiles: { kind: 'tiles', tileSize: 512 },
+};
+
+// Editable fields per view kind: [key, label, min, max, step]
+const VIEW_FIELDS = {
+  cubemap: [['size', 'Face size (px)', 64, MAX_OUTPUT_SIZE / 4, 64]],
+  planet: [
+    ['size', 'Size (px)', 256, MAX_OUTPUT_SIZE, 256],
+    ['fov', 'Field of view (°)', 90, 350, 5],
+    ['heading', 'Heading at the top (°)', -180, 180, 5],
+  ],
+  rectilinear: [
+    ['width', 'Width (px)', 64, MAX_OUTPUT_SIZE, 16],
+    ['height', 'Height (px)', 64, MAX_OUTPUT_SIZE, 16],
+    ['heading', 'Heading (°)', -180, 180, 1],
+    ['pitch', 'Pitch (°)', -90, 90, 1],
+    ['fov', 'Horizontal field of view (°)', 10, 150, 1],
+  ],
+  tiles: [['tileSize', 'Tile size (px)', 256, 2048, 256]],
+};
+
+// A field's number within its range; text that is not a number falls back to the default
+const clampField = (value, min, max, fallback) => {
+  const number = value === '' ? NaN : Number(value);
+  return Math.min(max, Math.max(min, Number.isFinite(number) ? number : fallback));
+};
+
+const fieldStyle = {
+  padding: '3px',
+  borderRadius: '4px',
+  border: 'none',
+  fontSize: '13px',
+};
+
+const buttonStyle = {
+  padding: '6px 12px',
+  background: '#ffffffee',
+  border: 'none',
+  cursor: 'pointer',
+  borderRadius: '5px',
+  fontSize: '13px',
+};
+
+// Options for exporting the panorama as cubemap faces, a little planet, a flat crop or tiles
+const PanoramaExportPanel = ({ onExport, onClose }) => {
+  const [views, setViews] = useState(DEFAULT_VIEWS);
+  const [kind, setKind] = useState('cubemap');
+  const [format, setFormat] = useState('image/jpeg');
+  const [quality, setQuality] = useState(0.92);
+  const [progress, setProgress] = useState(null); // { stage, percent } while exporting
+  const [error, setError] = useState(null);
+
+  const view = views[kind];
+  const isLossy = EXPORT_FORMATS.find(candidate => candidate.id === format)?.lossy;
+
+  const updateView = (changes) => setViews({ ...views, [kind]: { ...view, ...changes } });
+
+  const handleExport = async () => {
+    // Fields hold what was typed until they lose focus, so they are clamped here too
+    const exportView = { ...view };
+    VIEW_FIELDS[kind].forEach(([key, , min, max]) => {
+      exportView[key] = clampField(view[key], min, max, DEFAULT_VIEWS[kind][key]);
+    });
+    setViews({ ...views, [kind]: exportView });
+    setError(null);
+    setProgress({ stage: 'starting', percent: 0 });
+    try {
+      await onExport(exportView, { format, quality, onProgress: setProgress });
+    } catch (err) {
+      console.error(err);
+      setError(`Export failed: ${err.message}`);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  return (
+    <div
+      style={{
+        position: 'absolute',
+        bottom: '80px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        zIndex: 2,
+        width: '300px',
+        maxWidth: '90%',
+        color: 'white',
+        background: 'rgba(0,0,0,0.85)',
+        padding: '15px',
+        borderRadius: '8px',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '13px',
+      }}
+    >
+      <div style={{ marginBottom: '8px' }}>
+        <label>
+          Export as{' '}
+          <select value={kind} onChange={(e) => setKind(e.target.value)} style={fieldStyle}>
+            {VIEW_KINDS.map(option => <option key={option.id} value={option.id}>{option.name}</option>)}
+          </select>
+        </label>
+      </div>
+      {kind === 'cubemap' && (
+        <div style={{ marginBottom: '6px' }}>
+          <label>
+            Layout{' '}
+            <select value={view.layout} onChange={(e) => updateView({ layout: e.target.value })} style={fieldStyle}>
+              {CUBEMAP_LAYOUTS.map(option => <option key={option.id} value={option.id}>{option.name}</option>)}
+            </select>
+          </label>
+        </div>
+      )}
+      {VIEW_FIELDS[kind].map(([key, label, min, max, step]) => (
+        <div key={key} style={{ marginBottom: '6px' }}>
+          <label>
+            {label}{' '}
+            <input
+              type="number"
+              min={min}
+              max={max}
+              step={step}
+              value={view[key]}
+              onChange={(e) => updateView({ [key]: e.target.value })}
+              onBlur={() => updateView({ [key]: clampField(view[key], min, max, DEFAULT_VIEWS[kind][key]) })}
+              style={{ ...fieldStyle, width: '70px' }}
+            />
+          </label>
+        </div>
+      ))}
+      <div style={{ marginBottom: '6px' }}>
+        <label>
+          Format{' '}
+          <select value={format} onChange={(e) => setFormat(e.target.value)} style={fieldStyle}>
+            {EXPORT_FORMATS.map(option => <option key={option.id} value={option.id}>{option.name}</option>)}
+          </select>
+        </label>
+        {isLossy && (
+          <label style={{ marginLeft: '8px' }}>
+            Quality{' '}
+            <input
+              type="range"
+              min={0.5}
+              max={1}
+              step={0.01}
+              value={quality}
+              onChange={(e) => setQuality(Number(e.target.value))}
+              style={{ verticalAlign: 'middle', width: '70px' }}
+            />
+          </label>
+        )}
+      </div>
+
+      {error && <div style={{ color: '#ff4d4d', marginBottom: '6px' }}>{error}</div>}
+      {progress && (
+        <div style={{ marginBottom: '6px' }}>
+          {progress.stage}: {progress.percent}%
+          <progress value={progress.percent} max={100} style={{ display: 'block', width: '100%' }}></progress>
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end' }}>
+        <button onClick={handleExport} disabled={Boolean(progress)} style={buttonStyle}>Export</button>
+        <button onClick={onClose} style={buttonStyle}>Close</button>
+      </div>
+    </div>
+  );
+};
+
+PanoramaExportPanel.propTypes = {
+  onExport: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default PanoramaExportPanel;
@@ -0,0 +1,297 @@
+// src/components/PanoramaLibrary.jsx
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { deleteSession, getPanorama, getSessionName, listSessions, updateSession } from '../utils/sessionStore';
+import { exportCaptureBundle } from '../utils/captureBundle';
+import { exportPanoramaJpeg } from '../utils/panoramaMetadata';
+import { PROJECT_FORMATS } from '../utils/panoramaProjects';
+import { importCaptureBundle } from '../utils/captureImport';
+
+const STATUS_LABELS = {
+  capturing: 'In progress',
+  captured: 'Captured',
+  queued: 'Waiting for network',
+  stitched: 'Stitched',
+  failed: 'Stitch failed',
+};
+
+const STATUS_COLORS = {
+  capturing: '#FFC107',
+  captured: '#2196F3',
+  queued: '#FF9800',
+  stitched: '#4CAF50',
+  failed: '#ff4d4d',
+};
+
+const smallButtonStyle = {
+  padding: '4px 8px',
+  background: '#ffffffee',
+  border: 'none',
+  cursor: 'pointer',
+  borderRadius: '4px',
+  fontSize: '12px',
+};
+
+// Local library of capture sessions and their stitched panoramas
+const PanoramaLibrary = ({
+  activeSessionId,
+  bundleProject,
+  onBundleProjectChange,
+  onOpen,
+  onRestitch,
+  onDelete,
+  onImport,
+  onClose,
+}) => {
+  const [sessions, setSessions] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const zipInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+  const [renaming, setRenaming] = useState(null); // { id, name }
+  const renameCancelledRef = useRef(false); // Escape pressed; the blur that follows drops the edit
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(() => {
+    listSessions()
+      .then(setSessions)
+      .catch(err => {
+        console.error(err);
+        setError('Unable to read the library.');
+        setSessions([]);
+      });
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Renames are only committed here, on blur; Enter and Escape blur the input
+  const commitRename = async () => {
+    const cancelled = renameCancelledRef.current;
+    renameCancelledRef.current = false;
+    const name = renaming.name.trim();
+    setRenaming(null);
+    if (cancelled || !name) return;
+    try {
+      await updateSession(renaming.id, { name });
+      refresh();
+    } catch (err) {
+      console.error(err);
+      setError('Unable to rename the panorama.');
+    }
+  };
+
+  const handleDelete = async (session) => {
+    if (!window.confirm(`Delete "${getSessionName(session)}" and all of its captures?`)) return;
+    try {
+      await deleteSession(session.id);
+      onDelete(session.id);
+      refresh();
+    } catch (err) {
+      console.error(err);
+      setError('Unable to delete the panorama.');
+    }
+  };
+
+  const handleExport = async (session) => {
+    try {
+      const panorama = await getPanorama(session.id);
+      if (!panorama) {
+        setError('This session has no stitched panorama yet.');
+        return;
+      }
+      await exportPanoramaJpeg(panorama.blob, session);
+    } catch (err) {
+      console.error(err);
+      setError('Unable to export the panorama.');
+    }
+  };
+
+  const handleExportCaptures = async (session) => {
+    try {
+      await exportCaptureBundle(session.id, { project: bundleProject });
+    } catch (err) {
+      console.error(err);
+      setError(`Unable to export the captures: ${err.message}`);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const input = e.target;
+    if (!input.files || input.files.length === 0) return;
+    setImporting(true);
+    setError(null);
+    try {
+      const { session, missing } = await importCaptureBundle(input.files);
+      onImport(session, missing);
+    } catch (err) {
+      console.error(err);
+      setError(`Unable to import the captures: ${err.message}`);
+      refresh();
+    } finally {
+      input.value = ''; // Allow importing the same file again
+      setImporting(false);
+    }
+  };
+
+  return (
+    <div
+      style={{
+        position: 'absolute',
+        top: 0,
+        left: 0,
+        width: '100%',
+        height: '100%',
+        backgroundColor: 'rgba(0,0,0,0.9)',
+        zIndex: 5,
+        overflowY: 'auto',
+        color: 'white',
+        fontFamily: 'Arial, sans-serif',
+      }}
+    >
+      <div style={{ maxWidth: '900px', margin: '0 auto', padding: '20px' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <h2 style={{ margin: 0 }}>Library</h2>
+          <div style={{ display: 'flex', gap: '6px' }}>
+            <button onClick={() => zipInputRef.current.click()} disabled={importing} style={smallButtonStyle}>
+              Import ZIP
+            </button>
+            <button onClick={() => folderInputRef.current.click()} disabled={importing} style={smallButtonStyle}>
+              Import folder
+            </button>
+            <button onClick={onClose} style={smallButtonStyle}>Close</button>
+          </div>
+          <input
+            ref={zipInputRef}
+            type="file"
+            accept=".zip,application/zip"
+            onChange={handleImport}
+            style={{ display: 'none' }}
+          />
+          <input
+            ref={folderInputRef}
+            type="file"
+            webkitdirectory=""
+            multiple
+            onChange={handleImport}
+            style={{ display: 'none' }}
+          />
+        </div>
+        {importing && <div style={{ marginTop: '10px', fontSize: '14px' }}>Importing captures...</div>}
+
+        <div style={{ marginTop: '10px', fontSize: '13px' }}>
+          <label>
+            Project file in capture bundles{' '}
+            <select
+              value={bundleProject}
+              onChange={(e) => onBundleProjectChange(e.target.value)}
+              style={{ padding: '3px', borderRadius: '4px', border: 'none', fontSize: '12px' }}
+            >
+              {PROJECT_FORMATS.map(projectFormat => (
+                <option key={projectFormat.id} value={projectFormat.id}>{projectFormat.name}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        {error && <div style={{ marginTop: '10px', color: 'red', fontSize: '14px' }}>{error}</div>}
+
+        {sessions === null && <div style={{ marginTop: '20px' }}>Loading...</div>}
+        {sessions && sessions.length === 0 && (
+          <div style={{ marginTop: '20px' }}>No saved sessions yet. Captures are stored here automatically.</div>
+        )}
+
+        <div
+          style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fill, minmax(240px, 1fr))',
+            gap: '15px',
+            marginTop: '20px',
+          }}
+        >
+          {sessions && sessions.map(session => (
+            <div
+              key={session.id}
+              style={{
+                background: 'rgba(255,255,255,0.08)',
+                borderRadius: '8px',
+                overflow: 'hidden',
+                outline: session.id === activeSessionId ? '2px solid #4CAF50' : 'none',
+              }}
+            >
+              <div style={{ height: '120px', background: '#111' }}>
+                {session.thumbnail && (
+                  <img
+                    src={session.thumbnail}
+                    alt=""
+                    style={{ width: '100%', height: '100%', objectFit: 'cover' }}
+                  />
+                )}
+              </div>
+              <div style={{ padding: '10px', fontSize: '13px' }}>
+                {renaming && renaming.id === session.id ? (
+                  <input
+                    autoFocus
+                    value={renaming.name}
+                    onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                    onBlur={commitRename}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Escape') renameCancelledRef.current = true;
+                      if (e.key === 'Enter' || e.key === 'Escape') e.currentTarget.blur();
+                    }}
+                    style={{ width: '100%', padding: '4px', borderRadius: '4px', border: 'none', fontSize: '13px' }}
+                  />
+                ) : (
+                  <div style={{ fontWeight: 'bold', fontSize: '14px' }}>{getSessionName(session)}</div>
+                )}
+                <div style={{ marginTop: '4px', color: '#ccc' }}>
+                  {new Date(session.createdAt).toLocaleString()}
+                </div>
+                <div style={{ marginTop: '4px', color: '#ccc' }}>
+                  {session.plan ? session.plan.name : 'Unknown plan'} · {session.captureCount || 0} captures
+                </div>
+                <div style={{ marginTop: '4px', color: STATUS_COLORS[session.status] || '#ccc' }}>
+                  {STATUS_LABELS[session.status] || session.status}
+                  {session.status === 'failed' && session.error ? `: ${session.error}` : ''}
+                </div>
+                <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', marginTop: '10px' }}>
+                  <button onClick={() => onOpen(session)} style={smallButtonStyle}>Open</button>
+                  <button
+                    onClick={() => setRenaming({ id: session.id, name: getSessionName(session) })}
+                    style={smallButtonStyle}
+                  >
+                    Rename
+                  </button>
+                  {session.status !== 'capturing' && (
+                    <button onClick={() => onRestitch(session)} style={smallButtonStyle}>Re-stitch</button>
+                  )}
+                  {session.status === 'stitched' && (
+                    <button onClick={() => handleExport(session)} style={smallButtonStyle}>Export</button>
+                  )}
+                  {session.captureCount > 0 && (
+                    <button onClick={() => handleExportCaptures(session)} style={smallButtonStyle}>Captures</button>
+                  )}
+                  <button onClick={() => handleDelete(session)} style={smallButtonStyle}>Delete</button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+PanoramaLibrary.propTypes = {
+  activeSessionId: PropTypes.string,
+  bundleProject: PropTypes.string.isRequired,
+  onBundleProjectChange: PropTypes.func.isRequired,
+  onOpen: PropTypes.func.isRequired,
+  onRestitch: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  onImport: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default PanoramaLibrary;
@@ -2,11 +2,151 @@
 
 import React, { useEffect, useRef, useState, useCallback, useMemo } from 'react';
 import * as THREE from 'three';
-import { DeviceOrientationControls } from 'three-stdlib';
-import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
-import { saveAs } from 'file-saver'; // For exporting panoramas
 import TWEEN from '@tweenjs/tween.js'; // For animations
-import axios from 'axios'; // For HTTP requests
+import CapturePlanPanel from './CapturePlanPanel';
+import FovCalibrationWizard from './FovCalibrationWizard';
+import CaptureSettingsPanel from './CaptureSettingsPanel';
+import StitchSettingsPanel from './StitchSettingsPanel';
+import UploadProgressList from './UploadProgressList';
+import PanoramaLibrary from './PanoramaLibrary';
+import EquirectViewer from './EquirectViewer';
+import {
+  AUTO_CAPTURE_PLAN_ID,
+  DEFAULT_CAMERA_FOV,
+  buildCaptureQueue,
+  generateOverlapPlan,
+  loadCapturePlan,
+  saveCapturePlan,
+} from '../utils/capturePlans';
+import { getCameraProfileKey, loadFovProfile, saveFovProfile } from '../utils/fovCalibration';
+import { STITCH_PROVIDERS, getStitchProvider, reattachRemoteStitchJob } from '../utils/stitchProviders';
+import {
+  cancelStitchJob,
+  clearActiveStitchJob,
+  loadActiveStitchJob,
+  saveActiveStitchJob,
+} from '../utils/stitchJobs';
+import { loadStitchConfig, saveStitchConfig } from '../utils/stitchConfig';
+import { anglesFromQuaternion, captureCameraPose, getCameraRoll } from '../utils/orientation';
+import { loadCaptureSettings, saveCaptureSettings } from '../utils/captureSettings';
+import { analyzeFrame, checkFrameQuality, getAnalysisImageData } from '../utils/frameQuality';
+import {
+  createId,
+  deleteCapture,
+  deleteOutboxEntry,
+  deleteSession,
+  getResumableSession,
+  getPanorama,
+  getSession,
+  getSessionCaptures,
+  saveCapture,
+  savePanorama,
+  updateSession,
+} from '../utils/sessionStore';
+import { createThumbnail } from '../utils/thumbnail';
+import { createLookControls, disposeLookControls } from '../utils/lookControls';
+import { isOutboxSupported, queueForUpload, watchOutbox } from '../utils/outbox';
+import {
+  exportCaptureBundle,
+  loadBundleProjectFormat,
+  saveBundleProjectFormat,
+  sessionFilename,
+} from '../utils/captureBundle';
+import { PROJECT_FORMATS } from '../utils/panoramaProjects';
+import { exportPanoramaJpeg } from '../utils/panoramaMetadata';
+import { exportReprojection } from '../utils/panoramaReproject';
+import { loadTileSource } from '../utils/tilePyramid';
+import { renderCapturePreview } from '../utils/capturePreview';
+import {
+  CELL_COVERED,
+  addFrameCoverage,
+  computeCoverage,
+  createCoverageGrid,
+  createCoverageOverlay,
+  findGapSlots,
+  summarizeCoverage,
+  updateCoverageOverlay,
+} from '../utils/coverage';
+import { readCompassHeading, readLocation } from '../utils/captureLocation';
+
+// Countdown ring drawn around the center reticle while holding steady
+const DWELL_RING_RADIUS = 21;
+const DWELL_RING_CIRCUMFERENCE = 2 * Math.PI * DWELL_RING_RADIUS;
+
+// Button colours of the built-in stitch providers ([normal, hover])
+const PROVIDER_BUTTON_COLORS = {
+  remote: ['#4CAF50', '#45a049'],
+  opencv: ['#2196F3', '#1976D2'],
+  pose: ['#9C27B0', '#7B1FA2'],
+  default: ['#607D8B', '#455A64'],
+};
+
+// Helper function to convert degrees to radians
+const degToRad = (degrees) => degrees * (Math.PI / 180);
+
+// Function to calculate plane dimensions based on FOV and sphere radius
+const calculatePlaneDimensions = (sphereRadius, hfovDeg, vfovDeg) => {
+  const hfovRad = degToRad(hfovDeg);
+  const vfovRad = degToRad(vfovDeg);
+  
+  const width = 2 * sphereRadius * Math.tan(hfovRad / 2);
+  const height = 2 * sphereRadius * Math.tan(vfovRad / 2);
+  
+  return { width, height };
+};
+
+// Function to remove the middle pointers of a captured plane
+function removePointers(capturedPlane) {
+  capturedPlane.children
+    .filter(child => child.userData.isPointer)
+    .forEach(pointer => {
+      if (pointer.userData.tween) pointer.userData.tween.stop();
+      capturedPlane.remove(pointer);
+      pointer.geometry.dispose();
+      pointer.material.dispose();
+    });
+}
+
+// Function to remove a captured plane (and its pointers) from the scene
+function removeCapturedPlane(scene, capturedPlane) {
+  removePointers(capturedPlane);
+  scene.remove(capturedPlane);
+  capturedPlane.geometry.dispose();
+  if (capturedPlane.material.map) capturedPlane.material.map.dispose();
+  capturedPlane.material.dispose();
+}
+
+// Function to add a middle pointer to a captured plane
+function addMiddlePointer(capturedPlane, azimuthDeg, elevationDeg) {
+  if (typeof azimuthDeg !== 'number' || typeof elevationDeg !== 'number') return;
+
+  const pointerGeometry = new THREE.SphereGeometry(0.05, 16, 16);
+  const pointerMaterial = new THREE.MeshBasicMaterial({ color: 0x00ff00 }); // Green color for pointers
+  const pointer = new THREE.Mesh(pointerGeometry, pointerMaterial);
+
+  // Position the pointer at the center of the captured plane
+  pointer.position.set(0, 0, 0.01); // Slightly forward to prevent z-fighting
+  capturedPlane.add(pointer);
+
+  // Store metadata for the pointer
+  pointer.userData = { azimuth: azimuthDeg, elevation: elevationDeg, isPointer: true };
+
+  // Animate the pointer (pulsating effect)
+  pointer.userData.tween = animatePointer(pointer);
+}
+
+// Function to animate the pointer (pulsating effect)
+function animatePointer(pointer) {
+  const scaleFactor = 1.2;
+  const duration = 1000; // 1 second
+
+  return new TWEEN.Tween(pointer.scale)
+    .to({ x: scaleFactor, y: scaleFactor, z: scaleFactor }, duration / 2)
+    .easing(TWEEN.Easing.Quadratic.Out)
+    .yoyo(true)
+    .repeat(Infinity)
+    .start();
+}
 
 const PanoramaViewer = () => {
   // Refs for Three.js components
@@ -19,56 +159,41 @@ const PanoramaViewer = () => {
   const videoTextureRef = useRef(null);
   const markerRef = useRef(null);
   const hiddenCanvasRef = useRef(null);
+  const horizonRef = useRef(null); // Horizon line of the level indicator (updated from the animate loop)
+  const dwellRingRef = useRef(null); // Countdown ring around the reticle (updated from the animate loop)
 
   // Sphere and placement settings
   const sphereRadius = 5; // Changed from 10 to 5 for better performance on mobile
   const offsetFromSurface = 0.01;
 
-  // Global Configuration
-  const hfov = 40; // Horizontal Field of View in degrees
-  const vfov = 60; // Vertical Field of View in degrees
+  // Active capture plan (rows of elevation + azimuth step); everything queue related derives from it
+  const [capturePlan, setCapturePlan] = useState(() => loadCapturePlan());
 
-  // Helper function to convert degrees to radians
-  const degToRad = (degrees) => degrees * (Math.PI / 180);
+  // Global Configuration: camera Field of View in degrees (calibrated per device when a profile exists)
+  const [cameraFov, setCameraFov] = useState(DEFAULT_CAMERA_FOV);
+  const { hfov, vfov } = cameraFov;
+  const cameraFovRef = useRef(cameraFov);
+  cameraFovRef.current = cameraFov;
 
-  // Function to calculate plane dimensions based on FOV and sphere radius
-  const calculatePlaneDimensions = (sphereRadius, hfovDeg, vfovDeg) => {
-    const hfovRad = degToRad(hfovDeg);
-    const vfovRad = degToRad(vfovDeg);
-    
-    const width = 2 * sphereRadius * Math.tan(hfovRad / 2);
-    const height = 2 * sphereRadius * Math.tan(vfovRad / 2);
-    
-    return { width, height };
-  };
+  // Camera stream and calibration mode
+  const [cameraStream, setCameraStream] = useState(null);
+  const [calibrating, setCalibrating] = useState(false);
 
   // Calculate plane dimensions
   const { width: planeWidth, height: planeHeight } = useMemo(() => {
     return calculatePlaneDimensions(sphereRadius, hfov, vfov);
   }, [sphereRadius, hfov, vfov]);
+  const planeSizeRef = useRef({ width: planeWidth, height: planeHeight });
+  planeSizeRef.current = { width: planeWidth, height: planeHeight };
+
+  const capturePlanRef = useRef(capturePlan);
+  capturePlanRef.current = capturePlan;
+
+  // Capture order for the active plan
+  const captureQueueTemplate = useMemo(() => buildCaptureQueue(capturePlan), [capturePlan]);
 
-  // **Updated Elevation Levels Order: Start from Equator and Move Upward then Downward**
-  const elevationLevels = useMemo(() => [0, 30, 60, 90, -30, -60, -90], []);
-
-  // **Updated Azimuthal Increments Based on Your Specification**
-  const azimuthIncrements = useMemo(() => ({
-    0: 40,     // Equator: 9 captures (40° increments)
-    30: 45,    // +30°: 8 captures (45° increments)
-    60: 60,    // +60°: 6 captures (60° increments)
-    90: 360,   // Zenith: 1 capture (360° increments)
-    '-30': 45, // -30°: 8 captures (45° increments)
-    '-60': 60, // -60°: 6 captures (60° increments)
-    '-90': 360  // Nadir: 1 capture (360° increments)
-  }), []);
-
-  // **Total Captures Calculation: 42**
-  // 0°: 9 + 30°: 8 + 60°: 6 + 90°: 1 + -30°: 8 + -60°: 6 + -90°: 4 = **42 captures**
-  const maxCaptures = useMemo(() => {
-    return elevationLevels.reduce((total, elev) => {
-      const increment = azimuthIncrements[elev] || 60; // Default to 60° if not defined
-      return total + Math.ceil(360 / increment);
-    }, 0);
-  }, [elevationLevels, azimuthIncrements]);
+  // Total Captures: the plan's slots plus any added later, whether captured, skipped or still queued
+  const [maxCaptures, setMaxCaptures] = useState(captureQueueTemplate.length);
 
   // Capture Queue Initialization
   const captureQueueRef = useRef([]);
@@ -78,34 +203,73 @@ const PanoramaViewer = () => {
   // Ref to store all captured data URLs (actual image data)
   const capturedDataURLsRef = useRef([]);
 
+  // Slots the user chose to skip, and the captured plane tapped for a retake
+  const skippedSlotsRef = useRef([]);
+  const [skippedCount, setSkippedCount] = useState(0);
+  const [selectedPlane, setSelectedPlane] = useState(null);
+
+  // Translucent overlay marking the parts of the sphere the captures miss
+  const coverageOverlayRef = useRef(null);
+  const coverageGridRef = useRef(null); // { grid, fov, frames } the coverage grid and the frames added to it
+  const [coverage, setCoverage] = useState(null); // { coveredRatio, complete } of the current captures
+
   // State to indicate when the capture queue is ready
   const [queueReady, setQueueReady] = useState(false);
 
-  // Initialize the capture queue in the desired order
+  // Persisted session being captured ({ id, createdAt, plan, fov }) and one offered for resuming
+  const sessionRef = useRef(null);
+  const pendingQueueRef = useRef(null); // Queue restored from a session, applied instead of a fresh one
+  const [resumableSession, setResumableSession] = useState(null);
+  const [showLibrary, setShowLibrary] = useState(false);
+
+  // Helper Function to Place Objects on the Sphere
+  const placeObjectOnSphere = useCallback((obj, azimuthDeg, elevationDeg) => {
+    const r = sphereRadius - offsetFromSurface;
+    const azimuthRad = THREE.MathUtils.degToRad(azimuthDeg);
+    const elevationRad = THREE.MathUtils.degToRad(elevationDeg);
+
+    const x = r * Math.cos(elevationRad) * Math.sin(azimuthRad);
+    const y = r * Math.sin(elevationRad);
+    const z = r * Math.cos(elevationRad) * Math.cos(azimuthRad);
+
+    // We negate z so the plane faces inward
+    obj.position.set(x, y, -z);
+    obj.lookAt(0, 0, 0);
+  }, [sphereRadius]);
+
+  // Function to recount the total once slots are added to or removed from the queue
+  const updateMaxCaptures = useCallback(() => {
+    setMaxCaptures(captureCountRef.current + skippedSlotsRef.current.length + captureQueueRef.current.length);
+  }, []);
+
+  // Initialize the capture queue whenever the plan changes
   useEffect(() => {
-    const initializeQueue = () => {
-      const queue = [];
-      elevationLevels.forEach(elev => {
-        const increment = azimuthIncrements[elev] || 60;
-        const captures = Math.ceil(360 / increment);
-        for (let i = 0; i < captures; i++) {
-          queue.push({ azimuth: i * increment, elevation: elev });
-        }
-      });
-      // Ensure the queue has exactly maxCaptures images
-      while (queue.length > maxCaptures) {
-        queue.pop();
-      }
-      captureQueueRef.current = queue;
-      setQueueReady(true); // Indicate that the queue is ready
-    };
-    initializeQueue();
-  }, [elevationLevels, azimuthIncrements, maxCaptures]);
+    captureQueueRef.current = pendingQueueRef.current || captureQueueTemplate.map(slot => ({ ...slot }));
+    pendingQueueRef.current = null;
+    setQueueReady(true); // Indicate that the queue is ready
+    updateMaxCaptures();
+
+    // Move the guides to the first slot of the new plan (no-op before the scene exists)
+    const firstCapture = captureQueueRef.current[0];
+    if (firstCapture && videoPlaneRef.current && markerRef.current) {
+      placeObjectOnSphere(videoPlaneRef.current, firstCapture.azimuth, firstCapture.elevation);
+      placeObjectOnSphere(markerRef.current, firstCapture.azimuth, firstCapture.elevation);
+    }
+  }, [captureQueueTemplate, placeObjectOnSphere, updateMaxCaptures]);
 
   // Refs for mutable variables
   const captureCountRef = useRef(0);
   const capturingRef = useRef(false);
   const firstCaptureDoneRef = useRef(false);
+  const levelHintRef = useRef(null); // Last leveling direction shown, to avoid re-setting instructions every frame
+  const dwellStartRef = useRef(null); // When the device became steady on the target
+  const motionRef = useRef({ angularSpeed: null, time: 0 }); // Latest DeviceMotionEvent rotation rate
+
+  // Auto-capture settings (roll tolerance, ...)
+  const [captureSettings, setCaptureSettings] = useState(() => loadCaptureSettings());
+  const captureSettingsRef = useRef(captureSettings);
+  captureSettingsRef.current = captureSettings;
+  const [showSettings, setShowSettings] = useState(false);
 
   // State variables for UI
   const [instructions, setInstructions] = useState("Keep your device straight and press 'Capture' to take the first image at the Equator.");
@@ -113,9 +277,23 @@ const PanoramaViewer = () => {
   const [showFlash, setShowFlash] = useState(false); // For visual feedback
   const [isPanoramaComplete, setIsPanoramaComplete] = useState(false);
   const [previewPanorama, setPreviewPanorama] = useState(null);
-  const [uploading, setUploading] = useState(false);
-  const [uploadProgress, setUploadProgress] = useState(0);
+  const viewerActiveRef = useRef(false); // True while the 360 viewer has borrowed the renderer
+  viewerActiveRef.current = Boolean(previewPanorama);
+  const [previewTiles, setPreviewTiles] = useState(null); // { src, tiles, progress } of a large panorama's preview
+  const tilingAbortRef = useRef(null);
+  // Previews are object URLs of panorama blobs: release each one once it is replaced,
+  // closed or the component unmounts
+  useEffect(() => {
+    if (!previewPanorama) return;
+    return () => URL.revokeObjectURL(previewPanorama);
+  }, [previewPanorama]);
   const [error, setError] = useState(null);
+  const [stitching, setStitching] = useState(null); // { providerId, stage, percent, jobId? } while a stitch runs
+  const stitchAbortRef = useRef(null);
+  const activeJobRef = useRef(null); // Server-side stitch job being followed ({ jobId, sessionId, providerId, startedAt })
+  const [stitchConfig, setStitchConfig] = useState(loadStitchConfig);
+  const defaultStitchProvider = getStitchProvider(stitchConfig.provider) || STITCH_PROVIDERS[0];
+  const [bundleProject, setBundleProject] = useState(loadBundleProjectFormat); // Project file added to capture bundles
 
   // Initialize Three.js Scene and Components
   useEffect(() => {
@@ -141,31 +319,18 @@ const PanoramaViewer = () => {
     mountRef.current.appendChild(renderer.domElement);
     rendererRef.current = renderer;
 
-    // Initialize Controls
+    // Initialize Controls (gyro on mobile, OrbitControls on desktop)
     let controls;
-    if (window.DeviceOrientationEvent && typeof DeviceOrientationEvent.requestPermission === 'function') {
-      // For iOS 13+ devices, need to request permission
-      DeviceOrientationEvent.requestPermission()
-        .then(permissionState => {
-          if (permissionState === 'granted') {
-            controls = new DeviceOrientationControls(camera);
-            controls.connect();
-          } else {
-            console.warn('Device Orientation permission denied. Falling back to OrbitControls.');
-            controls = new OrbitControls(camera, renderer.domElement);
-            configureOrbitControls(controls);
-          }
-        })
-        .catch(console.error);
-    } else if (window.DeviceOrientationEvent) {
-      // Use DeviceOrientationControls for other mobile devices
-      controls = new DeviceOrientationControls(camera);
-      controls.connect();
-    } else {
-      // Use OrbitControls for desktop
-      controls = new OrbitControls(camera, renderer.domElement);
-      configureOrbitControls(controls);
-    }
+    let disposed = false;
+    createLookControls(camera, renderer.domElement)
+      .then(created => {
+        if (disposed) {
+          disposeLookControls(created);
+          return;
+        }
+        controls = created;
+      })
+      .catch(console.error);
 
     // Add a Semi-Transparent Sphere as a Reference (Visible from Inside)
     const sphereGeometry = new THREE.SphereGeometry(sphereRadius, 64, 64);
@@ -178,6 +343,11 @@ const PanoramaViewer = () => {
     const sphere = new THREE.Mesh(sphereGeometry, sphereMaterial);
     scene.add(sphere);
 
+    // Coverage overlay just inside the reference sphere, behind the captured planes
+    const coverageOverlay = createCoverageOverlay(sphereRadius - offsetFromSurface / 2);
+    scene.add(coverageOverlay);
+    coverageOverlayRef.current = coverageOverlay;
+
     // Setup Video Feed from the Back Camera
     const video = document.createElement('video');
     video.setAttribute('playsinline', '');
@@ -189,6 +359,13 @@ const PanoramaViewer = () => {
       .then((stream) => {
         video.srcObject = stream;
         video.play();
+        setCameraStream(stream);
+
+        // Use the calibrated FOV for this camera and resolution, if one was saved
+        const profile = loadFovProfile(getCameraProfileKey(stream.getVideoTracks()[0]));
+        if (profile) {
+          setCameraFov({ hfov: profile.hfov, vfov: profile.vfov });
+        }
       })
       .catch((err) => {
         console.error('Error accessing back camera: ', err);
@@ -233,64 +410,226 @@ const PanoramaViewer = () => {
     };
     window.addEventListener('resize', onWindowResize, false);
 
+    // Tap a captured plane to offer a retake (ignore drags from OrbitControls)
+    const raycaster = new THREE.Raycaster();
+    let pointerDownAt = null;
+    const onPointerDown = (event) => {
+      pointerDownAt = { x: event.clientX, y: event.clientY };
+    };
+    const onPointerUp = (event) => {
+      if (!pointerDownAt || viewerActiveRef.current) return;
+      const moved = Math.hypot(event.clientX - pointerDownAt.x, event.clientY - pointerDownAt.y);
+      pointerDownAt = null;
+      if (moved > 10) return;
+
+      const rect = renderer.domElement.getBoundingClientRect();
+      const ndc = new THREE.Vector2(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+      );
+      raycaster.setFromCamera(ndc, camera);
+      const hit = raycaster.intersectObjects(capturedPlanesRef.current, false)[0];
+      setSelectedPlane(hit ? hit.object : null);
+    };
+    renderer.domElement.addEventListener('pointerdown', onPointerDown);
+    renderer.domElement.addEventListener('pointerup', onPointerUp);
+
+    // Track angular velocity for the stability gate
+    const onDeviceMotion = (event) => {
+      const rate = event.rotationRate;
+      if (!rate || rate.alpha === null) return;
+      motionRef.current = {
+        angularSpeed: Math.sqrt(rate.alpha ** 2 + rate.beta ** 2 + rate.gamma ** 2),
+        time: performance.now(),
+      };
+    };
+    window.addEventListener('devicemotion', onDeviceMotion, false);
+    const previousQuaternion = camera.quaternion.clone();
+    let previousFrameTime = performance.now();
+
     // Animation Loop
     const animate = () => {
       requestAnimationFrame(animate);
+      if (controls) controls.enabled = !viewerActiveRef.current;
+      if (viewerActiveRef.current) return; // The panorama viewer has borrowed the renderer
       TWEEN.update(); // Update animations
       if (controls) controls.update();
       renderer.render(scene, camera);
 
-      // After the First Capture, Auto-Capture When Aligned
+      // Angular speed from DeviceMotionEvent, or from the orientation change between frames without it
+      const now = performance.now();
+      let angularSpeed = motionRef.current.angularSpeed;
+      if (angularSpeed === null || now - motionRef.current.time > 500) {
+        const elapsed = Math.max(now - previousFrameTime, 1) / 1000;
+        angularSpeed = THREE.MathUtils.radToDeg(previousQuaternion.angleTo(camera.quaternion)) / elapsed;
+      }
+      previousQuaternion.copy(camera.quaternion);
+      previousFrameTime = now;
+
+      // Live roll for the horizon indicator and the level gate (null near the poles, where roll is undefined)
+      const roll = getCameraRoll(camera.quaternion);
+      const isLevel = roll === null || Math.abs(roll) <= captureSettingsRef.current.rollTolerance;
+      updateHorizonIndicator(horizonRef.current, roll, isLevel);
+
+      // After the First Capture, Auto-Capture When Aligned, Level and Steady for the hold time
+      let dwellProgress = 0;
       if (
         firstCaptureDoneRef.current &&
         !capturingRef.current &&
-        captureCountRef.current < maxCaptures &&
+        captureQueueRef.current.length > 0 &&
         isMarkerCentered(camera, marker)
       ) {
-        capturingRef.current = true;
-        autoCaptureImage().then(() => {
-          capturingRef.current = false;
-        });
+        const { holdTime, maxAngularSpeed } = captureSettingsRef.current;
+        if (!isLevel) {
+          dwellStartRef.current = null;
+          const direction = roll > 0 ? 'counter-clockwise' : 'clockwise';
+          if (levelHintRef.current !== direction) {
+            levelHintRef.current = direction;
+            setInstructions(`Level your device: rotate it ${direction} until the horizon line turns green.`);
+          }
+        } else if (angularSpeed > maxAngularSpeed) {
+          // Still moving: restart the countdown
+          dwellStartRef.current = null;
+        } else {
+          levelHintRef.current = null;
+          if (dwellStartRef.current === null) {
+            dwellStartRef.current = now;
+          }
+          dwellProgress = holdTime > 0 ? Math.min((now - dwellStartRef.current) / holdTime, 1) : 1;
+          if (dwellProgress >= 1) {
+            dwellStartRef.current = null;
+            capturingRef.current = true;
+            autoCaptureImage().then(() => {
+              capturingRef.current = false;
+            });
+          }
+        }
+      } else {
+        dwellStartRef.current = null;
       }
+      updateDwellRing(dwellRingRef.current, dwellProgress);
     };
     animate();
 
     // Cleanup on Unmount
     return () => {
       window.removeEventListener('resize', onWindowResize);
+      window.removeEventListener('devicemotion', onDeviceMotion);
+      renderer.domElement.removeEventListener('pointerdown', onPointerDown);
+      renderer.domElement.removeEventListener('pointerup', onPointerUp);
       if (mountRef.current && renderer.domElement) {
         mountRef.current.removeChild(renderer.domElement);
       }
       renderer.dispose();
-      if (controls instanceof DeviceOrientationControls) {
-        controls.disconnect();
-      } else if (controls instanceof OrbitControls) {
-        controls.dispose();
-      }
+      disposed = true;
+      disposeLookControls(controls);
       stopVideoStream(video);
     };
-  }, [captureQueueRef, maxCaptures, elevationLevels, azimuthIncrements, planeWidth, planeHeight]);
-
-  // Configure OrbitControls (Helper Function)
-  const configureOrbitControls = useCallback((controls) => {
-    controls.enableDamping = true;
-    controls.dampingFactor = 0.05;
-    controls.minDistance = 1;
-    controls.maxDistance = 100;
-    controls.enablePan = false;
-    controls.enableZoom = true;
-  }, []);
+  }, [captureQueueRef]);
 
-  // Capture Image Function (Manual)
-  const captureImage = useCallback(() => {
-    if (!capturingRef.current && captureCountRef.current < maxCaptures) {
-      performCapture(false);
+  // Resize the live video plane when the FOV changes (captured planes keep the size they were taken with)
+  useEffect(() => {
+    const videoPlane = videoPlaneRef.current;
+    if (!videoPlane) return;
+    videoPlane.geometry.dispose();
+    videoPlane.geometry = new THREE.PlaneGeometry(planeWidth, planeHeight, 8, 8);
+  }, [planeWidth, planeHeight]);
+
+  // Update the sphere coverage from the actual capture poses. This runs right after every
+  // shot, so only frames added or removed since the last update are projected
+  useEffect(() => {
+    const overlay = coverageOverlayRef.current;
+    if (!overlay) return;
+    let state = coverageGridRef.current;
+    if (!state || state.fov !== cameraFov) {
+      state = { grid: createCoverageGrid(), fov: cameraFov, frames: new Set() };
+      coverageGridRef.current = state;
     }
-  }, [maxCaptures]);
+    const frames = capturedDataURLsRef.current;
+    const current = new Set(frames);
+    state.frames.forEach(frame => {
+      if (current.has(frame)) return;
+      addFrameCoverage(state.grid, frame, cameraFov, -1);
+      state.frames.delete(frame);
+    });
+    frames.forEach(frame => {
+      if (state.frames.has(frame)) return;
+      addFrameCoverage(state.grid, frame, cameraFov);
+      state.frames.add(frame);
+    });
 
-  // Auto Capture Function
-  const autoCaptureImage = useCallback(async () => {
-    return performCapture(true);
+    const summary = summarizeCoverage(state.grid);
+    updateCoverageOverlay(overlay, summary);
+    overlay.visible = captureSettings.coverageOverlay && frames.length > 0;
+    setCoverage(frames.length > 0
+      ? { coveredRatio: summary.coveredRatio, complete: summary.cells.every(cell => cell === CELL_COVERED) }
+      : null);
+  }, [captureCount, cameraFov, captureSettings.coverageOverlay]);
+
+  // Function to save the queue state of the current session
+  const persistSession = useCallback(() => {
+    const session = sessionRef.current;
+    if (!session) return;
+    updateSession(session.id, {
+      ...session,
+      updatedAt: Date.now(),
+      status: captureQueueRef.current.length === 0 ? 'captured' : 'capturing',
+      queue: captureQueueRef.current,
+      skipped: skippedSlotsRef.current,
+      captureCount: captureCountRef.current,
+    }).catch(err => console.warn('Unable to save session:', err));
+  }, []);
+
+  // Function to store an accepted frame, creating the session on the first one
+  const persistCapture = useCallback((capture) => {
+    const isNewSession = !sessionRef.current;
+    if (isNewSession) {
+      sessionRef.current = {
+        id: createId(),
+        createdAt: Date.now(),
+        plan: capturePlanRef.current,
+        fov: cameraFovRef.current,
+      };
+    }
+    const sessionId = sessionRef.current.id;
+    saveCapture({ ...capture, sessionId })
+      .then(() => persistSession())
+      .catch(err => console.warn('Unable to save capture:', err));
+
+    // The first frame stands in as the library thumbnail until the session is stitched
+    if (isNewSession) {
+      createThumbnail(capture.blob)
+        .then(thumbnail => updateSession(sessionId, { thumbnail }))
+        .catch(err => console.warn('Unable to create thumbnail:', err));
+
+      // Where azimuth 0 points on the compass and, if allowed, where the session was taken,
+      // for the metadata of exported panoramas
+      readCompassHeading()
+        .then(heading => {
+          if (heading === null || !capture.quaternion) return;
+          const { azimuth } = anglesFromQuaternion(new THREE.Quaternion().fromArray(capture.quaternion));
+          return updateSession(sessionId, { heading: (((heading - azimuth) % 360) + 360) % 360 });
+        })
+        .catch(err => console.warn('Unable to save compass heading:', err));
+      if (captureSettingsRef.current.recordLocation) {
+        readLocation()
+          .then(location => location && updateSession(sessionId, { location }))
+          .catch(err => console.warn('Unable to save location:', err));
+      }
+    }
+  }, [persistSession]);
+
+  // Function to rebuild the middle pointers so they follow the current capture order:
+  // each plane points at the slot captured two places after it, the newest at the next queue slot
+  const refreshMiddlePointers = useCallback(() => {
+    const planes = capturedPlanesRef.current;
+    planes.forEach(plane => removePointers(plane));
+    for (let k = 1; k < planes.length; k++) {
+      const next = k + 1 < planes.length ? planes[k + 1].userData.slot : captureQueueRef.current[0];
+      if (next) {
+        addMiddlePointer(planes[k - 1], next.azimuth, next.elevation);
+      }
+    }
   }, []);
 
   // Perform the actual capture
@@ -312,12 +651,27 @@ const PanoramaViewer = () => {
 
     const { azimuth, elevation } = queue.shift(); // Dequeue the next capture
 
+    // Where the device actually points at shutter time (the slot above is only the plan)
+    const pose = captureCameraPose(cameraRef.current, azimuth, elevation);
+
     // Draw the current video frame to the hidden canvas
     const ctx = hiddenCanvas.getContext('2d');
     hiddenCanvas.width = video.videoWidth || 1280; // Ensure high resolution
     hiddenCanvas.height = video.videoHeight || 720;
     ctx.drawImage(video, 0, 0, hiddenCanvas.width, hiddenCanvas.height);
 
+    // Check sharpness and exposure before accepting the frame
+    const settings = captureSettingsRef.current;
+    const quality = settings.qualityCheck
+      ? analyzeFrame(getAnalysisImageData(hiddenCanvas, hiddenCanvas.width, hiddenCanvas.height))
+      : undefined;
+    const rejection = quality ? checkFrameQuality(quality, settings) : null;
+    if (rejection) {
+      queue.unshift({ azimuth, elevation }); // Put the slot back so it is retaken
+      setInstructions(`Shot not accepted: ${rejection} Stay on the marker to retake it.`);
+      return;
+    }
+
     // Get the Data URL from the Hidden Canvas
     const dataURL = hiddenCanvas.toDataURL('image/png');
 
@@ -329,8 +683,10 @@ const PanoramaViewer = () => {
         capturedTexture.needsUpdate = true;
 
         // Create a plane for the captured image with FrontSide
-        const capturedPlane = createCapturedPlane(capturedTexture, planeWidth, planeHeight, elevation);
+        const { width, height } = planeSizeRef.current;
+        const capturedPlane = createCapturedPlane(capturedTexture, width, height, elevation);
         capturedPlane.userData.isCaptured = true; // Tag for potential removal/reset
+        capturedPlane.userData.slot = { azimuth, elevation }; // Queue slot, used by retake/undo
         scene.add(capturedPlane);
 
         // Place the captured plane on the sphere at the current azimuth and elevation
@@ -340,20 +696,20 @@ const PanoramaViewer = () => {
         capturedPlanesRef.current.push(capturedPlane);
 
         // **Store the dataURL for direct upload later**
+        const captureId = createId();
         capturedDataURLsRef.current.push({
+          id: captureId,
           dataURL,
+          width: img.naturalWidth,
+          height: img.naturalHeight,
           azimuth,
-          elevation
+          elevation,
+          ...pose, // quaternion, roll, alignmentError, timestamp
+          quality
         });
 
         // If there is a previous captured plane, add a middle pointer to it
-        if (capturedPlanesRef.current.length > 1) {
-          const previousPlane = capturedPlanesRef.current[capturedPlanesRef.current.length - 2];
-          const nextCapture = queue[0]; // Peek at the next capture without dequeuing
-          if (nextCapture) {
-            addMiddlePointer(previousPlane, nextCapture.azimuth, nextCapture.elevation);
-          }
-        }
+        refreshMiddlePointers();
 
         console.log(`Captured image placed at Azimuth: ${azimuth}°, Elevation: ${elevation}°`);
 
@@ -380,35 +736,45 @@ const PanoramaViewer = () => {
         setShowFlash(true);
         setTimeout(() => setShowFlash(false), 200); // Flash duration: 200ms
 
-        // Check if all captures are done
-        if (captureCountRef.current >= maxCaptures) {
+        // Check if all captures are done (skipped slots leave the queue too)
+        if (queue.length === 0) {
           setInstructions("All captures completed. Preview your panorama!");
           setIsPanoramaComplete(true);
         }
 
+        // Keep the frame and queue state in IndexedDB so the session survives a reload
+        persistCapture({
+          id: captureId,
+          blob: dataURLToBlob(dataURL),
+          width: img.naturalWidth,
+          height: img.naturalHeight,
+          azimuth,
+          elevation,
+          ...pose,
+          quality
+        });
+
         resolve();
       };
       img.src = dataURL;
     });
-  }, [planeHeight, planeWidth, maxCaptures]);
-
-  // Helper Function to Place Objects on the Sphere
-  const placeObjectOnSphere = useCallback((obj, azimuthDeg, elevationDeg) => {
-    const r = sphereRadius - offsetFromSurface;
-    const azimuthRad = THREE.MathUtils.degToRad(azimuthDeg);
-    const elevationRad = THREE.MathUtils.degToRad(elevationDeg);
+  }, [persistCapture, placeObjectOnSphere, refreshMiddlePointers]);
 
-    const x = r * Math.cos(elevationRad) * Math.sin(azimuthRad);
-    const y = r * Math.sin(elevationRad);
-    const z = r * Math.cos(elevationRad) * Math.cos(azimuthRad);
+  // Capture Image Function (Manual)
+  const captureImage = useCallback(() => {
+    if (!capturingRef.current && captureQueueRef.current.length > 0) {
+      performCapture(false);
+    }
+  }, [performCapture]);
 
-    // We negate z so the plane faces inward
-    obj.position.set(x, y, -z);
-    obj.lookAt(0, 0, 0);
-  }, [sphereRadius]);
+  // Auto Capture Function
+  const autoCaptureImage = useCallback(async () => {
+    return performCapture(true);
+  }, [performCapture]);
 
-  // Function to reset the panorama capture process
-  const resetPanorama = useCallback(() => {
+  // Function to clear the captures from the scene and start over with the active plan
+  // (the stored session is left untouched)
+  const clearCaptures = useCallback(() => {
     const scene = sceneRef.current;
     const videoPlane = videoPlaneRef.current;
     const marker = markerRef.current;
@@ -416,24 +782,15 @@ const PanoramaViewer = () => {
     if (!scene || !videoPlane || !marker) return;
 
     // Remove all captured planes and their pointers
-    capturedPlanesRef.current.forEach(plane => {
-      // Remove pointers from the plane
-      plane.children.forEach(child => {
-        if (child.userData.isPointer) {
-          scene.remove(child);
-          child.geometry.dispose();
-          child.material.dispose();
-        }
-      });
-      // Remove the plane itself
-      scene.remove(plane);
-      plane.geometry.dispose();
-      plane.material.dispose();
-    });
+    capturedPlanesRef.current.forEach(plane => removeCapturedPlane(scene, plane));
+    sessionRef.current = null;
 
     // Reset captured planes reference
     capturedPlanesRef.current = [];
     capturedDataURLsRef.current = [];
+    skippedSlotsRef.current = [];
+    setSkippedCount(0);
+    setSelectedPlane(null);
 
     // Reset mutable refs
     captureCountRef.current = 0;
@@ -445,24 +802,12 @@ const PanoramaViewer = () => {
     setInstructions("Keep your device straight and press 'Capture' to take the first image at the Equator.");
     setIsPanoramaComplete(false);
     setPreviewPanorama(null);
-    setUploadProgress(0);
     setError(null);
 
-    // Reset the capture queue
-    const newQueue = [];
-    elevationLevels.forEach(elev => {
-      const increment = azimuthIncrements[elev] || 60;
-      const captures = Math.ceil(360 / increment);
-      for (let i = 0; i < captures; i++) {
-        newQueue.push({ azimuth: i * increment, elevation: elev });
-      }
-    });
-    // Ensure the queue has exactly maxCaptures images
-    while (newQueue.length > maxCaptures) {
-      newQueue.pop();
-    }
-    captureQueueRef.current = newQueue;
+    // Reset the capture queue from the active plan
+    captureQueueRef.current = captureQueueTemplate.map(slot => ({ ...slot }));
     setQueueReady(true); // Re-indicate that the queue is ready
+    updateMaxCaptures();
 
     // Reposition video plane and marker
     if (captureQueueRef.current.length > 0) {
@@ -481,93 +826,586 @@ const PanoramaViewer = () => {
 
     // Restart all tweens
     TWEEN.removeAll();
-  }, [elevationLevels, azimuthIncrements, placeObjectOnSphere, maxCaptures]);
+  }, [captureQueueTemplate, placeObjectOnSphere, updateMaxCaptures]);
 
-  // Function to preview the panorama (simple screenshot, optional)
-  const previewPanoramaHandler = useCallback(() => {
-    // Quick approach to preview the current 3D scene as an image
+  // Function to reset the panorama capture process
+  const resetPanorama = useCallback(() => {
+    // Drop the stored session; its shots are being thrown away
+    if (sessionRef.current) {
+      deleteSession(sessionRef.current.id).catch(err => console.warn('Unable to delete session:', err));
+    }
+    clearCaptures();
+  }, [clearCaptures]);
+
+  // Function to store a stitched panorama with its session (the current one by default)
+  const recordStitchResult = useCallback(async (blob, method, sessionId = sessionRef.current?.id) => {
+    if (!sessionId) return;
+    try {
+      await savePanorama({ sessionId, blob, method, createdAt: Date.now() });
+      // A later stitch supersedes an upload still waiting for the network
+      await deleteOutboxEntry(sessionId);
+      const thumbnail = await createThumbnail(blob);
+      await updateSession(sessionId, {
+        status: 'stitched',
+        stitchMethod: method,
+        stitchedAt: Date.now(),
+        updatedAt: Date.now(),
+        error: null,
+        thumbnail,
+      });
+    } catch (err) {
+      console.warn('Unable to save stitched panorama:', err);
+    }
+  }, []);
+
+  // Function to mark a session (the current one by default) as failed to stitch
+  const recordStitchFailure = useCallback((message, sessionId = sessionRef.current?.id) => {
+    if (!sessionId) return;
+    updateSession(sessionId, { status: 'failed', error: message, updatedAt: Date.now() })
+      .catch(err => console.warn('Unable to save session:', err));
+  }, []);
+
+  // Function to stream the preview src of a stored panorama from its tile pyramid when it is
+  // too large for one texture, rendering the pyramid the first time
+  const loadPreviewTiles = useCallback(async (src, sessionId) => {
     const renderer = rendererRef.current;
+    if (!renderer || !sessionId) return;
+    if (tilingAbortRef.current) tilingAbortRef.current.abort();
+    const controller = new AbortController();
+    tilingAbortRef.current = controller;
+
+    // Leave the state alone once another preview has taken over
+    const updateTiles = (changes) => setPreviewTiles(current => (current?.src === src ? { ...current, ...changes } : current));
+    setPreviewTiles({ src, tiles: null, progress: null });
+    try {
+      const tiles = await loadTileSource(sessionId, renderer.capabilities.maxTextureSize, {
+        onProgress: ({ percent }) => updateTiles({ progress: percent }),
+        signal: controller.signal,
+      });
+      updateTiles({ tiles, progress: null });
+    } catch (err) {
+      if (err.name !== 'AbortError') console.warn('Unable to tile the panorama:', err);
+      updateTiles({ progress: null });
+    } finally {
+      if (tilingAbortRef.current === controller) tilingAbortRef.current = null;
+    }
+  }, []);
+
+  // Function to point the video plane and marker at the next queue slot
+  const moveGuidesToNextSlot = useCallback(() => {
+    const nextCapture = captureQueueRef.current[0];
+    if (!nextCapture || !videoPlaneRef.current || !markerRef.current) return;
+    placeObjectOnSphere(videoPlaneRef.current, nextCapture.azimuth, nextCapture.elevation);
+    placeObjectOnSphere(markerRef.current, nextCapture.azimuth, nextCapture.elevation);
+    videoPlaneRef.current.visible = true;
+    markerRef.current.visible = true;
+  }, [placeObjectOnSphere]);
+
+  // Function to drop a captured shot and put its slot back at the front of the queue
+  const discardCapture = useCallback((index) => {
+    const scene = sceneRef.current;
+    const plane = capturedPlanesRef.current[index];
+    if (!scene || !plane || capturingRef.current) return;
+
+    removeCapturedPlane(scene, plane);
+    capturedPlanesRef.current.splice(index, 1);
+    const [discarded] = capturedDataURLsRef.current.splice(index, 1);
+    captureQueueRef.current.unshift({ ...plane.userData.slot });
+    deleteCapture(discarded.id).catch(err => console.warn('Unable to delete capture:', err));
+
+    captureCountRef.current -= 1;
+    setCaptureCount(captureCountRef.current);
+    setIsPanoramaComplete(false);
+    setSelectedPlane(null);
+
+    // With nothing captured the next shot is the manual first capture again
+    if (captureCountRef.current === 0) {
+      firstCaptureDoneRef.current = false;
+    }
+
+    refreshMiddlePointers();
+    moveGuidesToNextSlot();
+    persistSession();
+    return plane.userData.slot;
+  }, [refreshMiddlePointers, moveGuidesToNextSlot, persistSession]);
+
+  // Function to undo the most recent capture
+  const undoLastCapture = useCallback(() => {
+    const slot = discardCapture(capturedPlanesRef.current.length - 1);
+    if (slot) {
+      setInstructions(`Last capture removed. Align with the marker to retake Azimuth ${slot.azimuth}°, Elevation ${slot.elevation}°.`);
+    }
+  }, [discardCapture]);
+
+  // Function to retake the captured plane the user tapped
+  const retakeSelectedCapture = useCallback(() => {
+    const slot = discardCapture(capturedPlanesRef.current.indexOf(selectedPlane));
+    if (slot) {
+      setInstructions(`Align with the marker to retake Azimuth ${slot.azimuth}°, Elevation ${slot.elevation}°.`);
+    }
+  }, [discardCapture, selectedPlane]);
+
+  // Function to skip the next queue slot
+  const skipCurrentSlot = useCallback(() => {
+    const queue = captureQueueRef.current;
+    if (queue.length === 0 || capturingRef.current) return;
+
+    const slot = queue.shift();
+    skippedSlotsRef.current.push(slot);
+    setSkippedCount(skippedSlotsRef.current.length);
+    refreshMiddlePointers();
+    persistSession();
+
+    if (queue.length === 0) {
+      setInstructions("All remaining slots done or skipped. Preview your panorama!");
+      setIsPanoramaComplete(true);
+    } else {
+      moveGuidesToNextSlot();
+      setInstructions(`Skipped Azimuth ${slot.azimuth}°, Elevation ${slot.elevation}°. Align with the next marker.`);
+    }
+  }, [refreshMiddlePointers, moveGuidesToNextSlot, persistSession]);
+
+  // Function to put skipped slots back at the end of the queue
+  const restoreSkippedSlots = useCallback(() => {
+    captureQueueRef.current.push(...skippedSlotsRef.current);
+    skippedSlotsRef.current = [];
+    setSkippedCount(0);
+    setIsPanoramaComplete(false);
+    refreshMiddlePointers();
+    moveGuidesToNextSlot();
+    persistSession();
+  }, [refreshMiddlePointers, moveGuidesToNextSlot, persistSession]);
+
+  // Function to queue extra slots aimed at the coverage gaps; gaps are what remains once
+  // the queued slots are shot too, so they are only searched for when asked
+  const fillCoverageGaps = useCallback(() => {
+    if (capturingRef.current) return;
+    const fov = cameraFovRef.current;
+    const planned = computeCoverage([...capturedDataURLsRef.current, ...captureQueueRef.current], fov);
+    const slots = findGapSlots(planned, fov);
+    if (slots.length === 0) {
+      setInstructions('The queued shots already cover the rest of the sphere.');
+      return;
+    }
+
+    captureQueueRef.current.push(...slots);
+    updateMaxCaptures();
+    setIsPanoramaComplete(false);
+    refreshMiddlePointers();
+    moveGuidesToNextSlot();
+    persistSession();
+    setInstructions(`Added ${slots.length} shots to fill the coverage gaps. Align with the marker to continue.`);
+  }, [refreshMiddlePointers, moveGuidesToNextSlot, persistSession, updateMaxCaptures]);
+
+  // Function to rebuild the captured planes and queue of a stored session
+  const resumeSession = useCallback(async (session) => {
     const scene = sceneRef.current;
-    const camera = cameraRef.current;
+    if (!scene) return false;
+    setResumableSession(null);
+
+    try {
+      const captures = await getSessionCaptures(session.id);
+      const { width, height } = calculatePlaneDimensions(sphereRadius, session.fov.hfov, session.fov.vfov);
+
+      for (const capture of captures) {
+        const dataURL = await blobToDataURL(capture.blob);
+        const img = await loadImage(dataURL);
+        const texture = new THREE.Texture(img);
+        texture.needsUpdate = true;
+
+        const plane = createCapturedPlane(texture, width, height, capture.elevation);
+        plane.userData.isCaptured = true;
+        plane.userData.slot = { azimuth: capture.azimuth, elevation: capture.elevation };
+        scene.add(plane);
+        placeObjectOnSphere(plane, capture.azimuth, capture.elevation);
+
+        capturedPlanesRef.current.push(plane);
+        capturedDataURLsRef.current.push({
+          id: capture.id,
+          dataURL,
+          width: capture.width,
+          height: capture.height,
+          azimuth: capture.azimuth,
+          elevation: capture.elevation,
+          quaternion: capture.quaternion,
+          roll: capture.roll,
+          alignmentError: capture.alignmentError,
+          timestamp: capture.timestamp,
+          quality: capture.quality,
+        });
+      }
+
+      sessionRef.current = { id: session.id, createdAt: session.createdAt, plan: session.plan, fov: session.fov };
+      captureCountRef.current = captures.length;
+      setCaptureCount(captures.length);
+      firstCaptureDoneRef.current = captures.length > 0;
+      skippedSlotsRef.current = session.skipped || [];
+      setSkippedCount(skippedSlotsRef.current.length);
 
-    if (!renderer || !scene || !camera) return;
+      // Continue from the next stored slot; the plan effect applies the pending queue
+      captureQueueRef.current = session.queue.map(slot => ({ ...slot }));
+      pendingQueueRef.current = captureQueueRef.current;
+      setCapturePlan(session.plan);
+      setCameraFov(session.fov);
 
-    // Temporarily render to a new canvas
-    const tempCanvas = document.createElement('canvas');
-    tempCanvas.width = renderer.domElement.width;
-    tempCanvas.height = renderer.domElement.height;
-    const tempContext = tempCanvas.getContext('2d');
+      refreshMiddlePointers();
+      moveGuidesToNextSlot();
 
-    // Draw the existing renderer's content
-    tempContext.drawImage(renderer.domElement, 0, 0);
+      if (captureQueueRef.current.length === 0) {
+        setInstructions("All captures completed. Preview your panorama!");
+        setIsPanoramaComplete(true);
+      } else {
+        setInstructions(`Session resumed with ${captures.length} captures. Align with the marker to continue.`);
+      }
+      return true;
+    } catch (err) {
+      console.error(err);
+      setError("Unable to resume the previous session.");
+      return false;
+    }
+  }, [sphereRadius, placeObjectOnSphere, refreshMiddlePointers, moveGuidesToNextSlot]);
 
-    const dataURL = tempCanvas.toDataURL('image/png');
-    setPreviewPanorama(dataURL);
+  // Function to discard the session offered for resuming
+  const discardResumableSession = useCallback(() => {
+    if (resumableSession) {
+      deleteSession(resumableSession.id).catch(err => console.warn('Unable to delete session:', err));
+    }
+    setResumableSession(null);
+  }, [resumableSession]);
+
+  // Offer to resume a session that was interrupted (reload, tab killed, ...)
+  useEffect(() => {
+    getResumableSession()
+      .then(session => {
+        if (session && session.captureCount > 0) {
+          setResumableSession(session);
+        }
+      })
+      .catch(err => console.warn('Unable to read stored sessions:', err));
   }, []);
 
-  // Function to export the panorama
-  const exportPanorama = useCallback(() => {
-    if (previewPanorama) {
-      saveAs(previewPanorama, 'panorama.png');
+  // Function to load a library session into the scene in place of the current one
+  const loadLibrarySession = useCallback(async (session) => {
+    if (stitching) {
+      setError("Wait for the current stitch to finish before opening another session.");
+      return false;
+    }
+    setShowLibrary(false);
+    clearCaptures();
+    return resumeSession(session);
+  }, [stitching, clearCaptures, resumeSession]);
+
+  // Function to open a library session, showing its stitched panorama if it has one
+  const openLibrarySession = useCallback(async (session) => {
+    if (!(await loadLibrarySession(session))) return;
+    try {
+      const panorama = await getPanorama(session.id);
+      if (panorama) {
+        const src = URL.createObjectURL(panorama.blob);
+        setPreviewPanorama(src);
+        loadPreviewTiles(src, session.id);
+      }
+    } catch (err) {
+      console.warn('Unable to read stitched panorama:', err);
+    }
+  }, [loadLibrarySession, loadPreviewTiles]);
+
+  // Function to load a library session so it can be stitched again
+  const restitchLibrarySession = useCallback(async (session) => {
+    if (await loadLibrarySession(session)) {
+      setInstructions("Session loaded. Choose how to stitch it again.");
+    }
+  }, [loadLibrarySession]);
+
+  // Function to load a session imported from a capture bundle; slots without a frame can be retaken
+  const handleLibraryImport = useCallback(async (session, missing) => {
+    if (!(await loadLibrarySession(session))) return;
+    const parts = [`Imported "${session.name}" with ${session.captureCount} captures.`];
+    if (missing.length > 0) {
+      parts.push(`${missing.length} listed frames were missing from the bundle.`);
+    }
+    parts.push(session.queue.length > 0
+      ? `${session.queue.length} slots are left to capture; align with the marker to take them.`
+      : 'Choose how to stitch it.');
+    setInstructions(parts.join(' '));
+  }, [loadLibrarySession]);
+
+  // Function to forget the scene's session when it is deleted from the library
+  const handleLibraryDelete = useCallback((id) => {
+    if (sessionRef.current && sessionRef.current.id === id) {
+      clearCaptures();
+    }
+  }, [clearCaptures]);
+
+  // Function to update and persist the auto-capture settings
+  const handleCaptureSettingsChange = useCallback((settings) => {
+    setCaptureSettings(settings);
+    saveCaptureSettings(settings);
+  }, []);
+
+  // Function to switch capture plans (only before the first capture)
+  const handleCapturePlanChange = useCallback((plan) => {
+    if (captureCountRef.current > 0) return;
+    setCapturePlan(plan);
+    saveCapturePlan(plan);
+  }, []);
+
+  // Regenerate an automatic plan when the camera FOV changes before capturing starts
+  // (the plan is read from its ref so choosing a plan does not trigger this)
+  useEffect(() => {
+    const plan = capturePlanRef.current;
+    if (plan.id !== AUTO_CAPTURE_PLAN_ID || captureCountRef.current > 0) return;
+    if (plan.fov?.hfov === cameraFov.hfov && plan.fov?.vfov === cameraFov.vfov) return;
+    handleCapturePlanChange(generateOverlapPlan(cameraFov, plan.overlap));
+  }, [cameraFov, handleCapturePlanChange]);
+
+  // Current camera orientation, used by the FOV calibration wizard
+  const getCameraQuaternion = useCallback(() => {
+    return cameraRef.current ? cameraRef.current.quaternion.clone() : null;
+  }, []);
+
+  // Function to store a calibrated FOV for the current camera and apply it
+  const handleCalibrationSave = useCallback((fov) => {
+    const track = cameraStream ? cameraStream.getVideoTracks()[0] : null;
+    saveFovProfile(getCameraProfileKey(track), fov);
+    setCameraFov(fov);
+    setCalibrating(false);
+    setInstructions(`Camera calibrated: ${fov.hfov}° × ${fov.vfov}°. Press 'Capture' to take the first image at the Equator.`);
+  }, [cameraStream]);
+
+  // Function to preview the whole capture without stitching: the captured planes rendered
+  // all around the sphere centre and unwrapped into an equirectangular image
+  const previewCapture = useCallback(async () => {
+    const renderer = rendererRef.current;
+    if (!renderer || capturedPlanesRef.current.length === 0) return;
+    try {
+      const blob = await renderCapturePreview(renderer, capturedPlanesRef.current);
+      setPreviewPanorama(URL.createObjectURL(blob));
+    } catch (err) {
+      console.error(err);
+      setError(`Unable to render the preview: ${err.message}`);
+    }
+  }, []);
+
+  // Function to export the panorama as a JPEG that 360 viewers recognise, named after its session
+  const exportPanorama = useCallback(async () => {
+    if (!previewPanorama) return;
+    try {
+      const blob = await (await fetch(previewPanorama)).blob();
+      const session = sessionRef.current ? await getSession(sessionRef.current.id) : null;
+      await exportPanoramaJpeg(blob, session);
+    } catch (err) {
+      console.error(err);
+      setError(`Unable to export the panorama: ${err.message}`);
     }
   }, [previewPanorama]);
 
+  // Function to export the panorama reprojected as a cubemap, little planet or flat crop;
+  // errors are left to the export panel
+  const exportPanoramaFormat = useCallback(async (view, options) => {
+    if (!previewPanorama) return;
+    const blob = await (await fetch(previewPanorama)).blob();
+    const session = sessionRef.current ? await getSession(sessionRef.current.id) : null;
+    await exportReprojection(blob, view, options, session ? sessionFilename(session) : 'panorama');
+  }, [previewPanorama]);
+
   // Function to close the panorama preview
   const closePreview = useCallback(() => {
     setPreviewPanorama(null);
   }, []);
 
-  // Function to upload images to the backend for stitching
-  const handleUploadAndStitch = useCallback(async () => {
-    if (captureCountRef.current !== maxCaptures) {
-      setError("Please complete all captures before uploading.");
-      return;
+  // Function to download the raw captures of the current session with their manifest
+  // and the chosen stitcher project, for stitching offline
+  const exportCaptures = useCallback(async () => {
+    const sessionId = sessionRef.current?.id;
+    if (!sessionId) return;
+    try {
+      await exportCaptureBundle(sessionId, { project: bundleProject });
+    } catch (err) {
+      console.error(err);
+      setError(`Unable to export the captures: ${err.message}`);
     }
+  }, [bundleProject]);
 
-    setUploading(true);
+  // Function to choose the project file added to capture bundles
+  const handleBundleProjectChange = useCallback((formatId) => {
+    setBundleProject(formatId);
+    saveBundleProjectFormat(formatId);
+  }, []);
+
+  // Function to park a session whose upload failed for lack of network in the outbox;
+  // resolves with false when it cannot be queued. jobId is a job the service already accepted.
+  const queueOfflineUpload = useCallback(async (sessionId, message, jobId) => {
+    if (!isOutboxSupported()) return false;
+    try {
+      await queueForUpload(sessionId, stitchConfig, { jobId, error: message });
+      await updateSession(sessionId, { status: 'queued', error: null, updatedAt: Date.now() });
+      return true;
+    } catch (err) {
+      console.warn('Unable to queue the upload:', err);
+      return false;
+    }
+  }, [stitchConfig]);
+
+  // Function to follow a stitch through to the result: progress, job bookkeeping and the stored outcome.
+  // start({ onProgress, onJob, signal }) runs the stitch; reattachJob is a job from an earlier page load.
+  const trackStitch = useCallback(async (providerId, sessionId, start, reattachJob = null) => {
+    const provider = getStitchProvider(providerId);
+    const providerName = provider ? provider.name : providerId;
+    const controller = new AbortController();
+    stitchAbortRef.current = controller;
+    activeJobRef.current = reattachJob;
     setError(null);
+    setStitching({ providerId, stage: reattachJob ? 'reattaching' : 'preparing', percent: 0, jobId: reattachJob?.jobId });
+
+    const onProgress = (progress) => setStitching(current => ({ ...current, ...progress }));
+    const onJob = (jobId) => {
+      activeJobRef.current = { jobId, sessionId, providerId, startedAt: Date.now() };
+      saveActiveStitchJob(activeJobRef.current);
+      setStitching(current => ({ ...current, jobId }));
+    };
 
     try {
-      const formData = new FormData();
+      const panoramaBlob = await start({ onProgress, onJob, signal: controller.signal });
+      clearActiveStitchJob();
+      const src = URL.createObjectURL(panoramaBlob);
+      setPreviewPanorama(src);
+      setInstructions(`Panorama stitched (${providerName}). You can now preview and download it.`);
+      recordStitchResult(panoramaBlob, providerId, sessionId).then(() => loadPreviewTiles(src, sessionId));
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        // A server-side job stays remembered unless it was cancelled, so a reload can reattach.
+        // Nothing to report when another stitch (or a remount's reattach) took over
+        if (stitchAbortRef.current === controller) setInstructions("Stitching cancelled.");
+      } else if (err.offline && sessionId && await queueOfflineUpload(sessionId, err.message, activeJobRef.current?.jobId)) {
+        // The outbox follows the job from now on
+        clearActiveStitchJob();
+        setInstructions("You're offline. The captures are queued and will be uploaded when the connection is back; you'll be notified when the panorama is ready.");
+      } else {
+        clearActiveStitchJob();
+        console.error(err);
+        setError(`Stitching failed: ${err.message}`);
+        recordStitchFailure(err.message, sessionId);
+      }
+    } finally {
+      // Leave the state alone if another stitch took over in the meantime
+      if (stitchAbortRef.current === controller) {
+        stitchAbortRef.current = null;
+        activeJobRef.current = null;
+        setStitching(null);
+      }
+    }
+  }, [recordStitchResult, recordStitchFailure, queueOfflineUpload, loadPreviewTiles]);
 
-      // Use the data URLs we already have from performCapture()
-      capturedDataURLsRef.current.forEach((captureObj, index) => {
-        const { dataURL, azimuth, elevation } = captureObj;
+  // Function to stitch the captures with a provider (remote service, OpenCV worker, pose projection, ...)
+  const runStitch = useCallback(async (providerId) => {
+    const provider = getStitchProvider(providerId);
+    if (!provider) {
+      setError(`Unknown stitcher "${providerId}".`);
+      return;
+    }
+    if (captureQueueRef.current.length > 0 || captureCountRef.current === 0) {
+      setError("Please complete all captures before stitching.");
+      return;
+    }
 
-        const blob = dataURLToBlob(dataURL);
-        const filename = `e${elevation}_a${azimuth}.png`; // or ".jpg"
-        formData.append('images', blob, filename);
-      });
+    const frames = capturedDataURLsRef.current.map(({ dataURL, width, height, azimuth, elevation, quaternion, roll, alignmentError, timestamp }) => ({
+      blob: dataURLToBlob(dataURL),
+      width,
+      height,
+      azimuth,
+      elevation,
+      quaternion,
+      roll,
+      alignmentError,
+      timestamp,
+    }));
+    const sessionId = sessionRef.current?.id;
+    return trackStitch(providerId, sessionId, (options) => provider.stitch(frames, {
+      plan: capturePlan,
+      fov: cameraFov,
+      config: stitchConfig,
+      sessionId,
+      ...options,
+    }));
+  }, [capturePlan, cameraFov, stitchConfig, trackStitch]);
+
+  // Function to stitch with the configured default provider
+  const handleStitch = useCallback(() => {
+    return runStitch(defaultStitchProvider.id);
+  }, [runStitch, defaultStitchProvider]);
+
+  // Function to stop waiting for a running stitch (a server-side job keeps running)
+  const stopStitch = useCallback(() => {
+    if (stitchAbortRef.current) {
+      stitchAbortRef.current.abort();
+    }
+  }, []);
 
-      // Send POST request to the backend
-      const response = await axios.post('https://python.phpnode.net/stitch', formData, {
-        headers: {
-          'Content-Type': 'multipart/form-data',
-        },
-        onUploadProgress: (progressEvent) => {
-          const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-          setUploadProgress(percentCompleted);
-        }
-      });
+  // Function to cancel a running stitch (aborts the upload, terminates the worker or cancels the server job)
+  const cancelStitch = useCallback(() => {
+    const job = activeJobRef.current;
+    if (job) {
+      cancelStitchJob(job.jobId, stitchConfig);
+      clearActiveStitchJob();
+    }
+    stopStitch();
+  }, [stitchConfig, stopStitch]);
+
+  // Stop following a running stitch when the viewer unmounts
+  useEffect(() => () => stopStitch(), [stopStitch]);
+
+  // Reattach to a stitch job that was still running when the page was closed or reloaded.
+  // Only on mount: the config and trackStitch are read through refs so changing them does
+  // not reattach again. Unmounting stops following the job, which stays stored, so a
+  // remount (StrictMode does one in development) reattaches
+  const stitchConfigRef = useRef(stitchConfig);
+  stitchConfigRef.current = stitchConfig;
+  const trackStitchRef = useRef(trackStitch);
+  trackStitchRef.current = trackStitch;
+  useEffect(() => {
+    const job = loadActiveStitchJob();
+    if (!job || !job.jobId) return;
+    setInstructions(`Reattaching to stitch job ${job.jobId}...`);
+    trackStitchRef.current(job.providerId, job.sessionId, ({ onProgress, signal }) => reattachRemoteStitchJob(job.jobId, {
+      config: stitchConfigRef.current,
+      onProgress,
+      signal,
+    }), job);
+    const controller = stitchAbortRef.current;
+    return () => {
+      if (stitchAbortRef.current === controller) controller.abort();
+    };
+  }, []);
 
-      if (response.status === 200) {
-        // The stitched panorama is returned as binary data
-        const panoramaBlob = new Blob([response.data], { type: 'image/jpeg' });
-        const panoramaURL = URL.createObjectURL(panoramaBlob);
-        setPreviewPanorama(panoramaURL);
-        setInstructions("Panorama stitched successfully! You can now preview and download it.");
-        setIsPanoramaComplete(true);
-      } else {
-        setError("Failed to stitch panorama. Please try again.");
+  // Send queued uploads once the network is back and pick up their results
+  useEffect(() => watchOutbox(async ({ sessionId, name, status, error }) => {
+    if (status === 'failed') {
+      setError(`Queued upload of "${name}" failed: ${error}`);
+      return;
+    }
+    if (sessionRef.current?.id !== sessionId) {
+      setInstructions(`"${name}" has been stitched. Open it from the Library.`);
+      return;
+    }
+    try {
+      const panorama = await getPanorama(sessionId);
+      if (panorama) {
+        const src = URL.createObjectURL(panorama.blob);
+        setPreviewPanorama(src);
+        loadPreviewTiles(src, sessionId);
       }
+      setInstructions("The queued panorama has been stitched. You can now preview and download it.");
     } catch (err) {
-      console.error(err);
-      setError("An error occurred during the stitching process.");
-    } finally {
-      setUploading(false);
-      setUploadProgress(0);
+      console.warn('Unable to load the stitched panorama:', err);
     }
-  }, [maxCaptures]);
+  }), [loadPreviewTiles]);
+
+  // Function to update and persist the stitching backend configuration
+  const handleStitchConfigChange = useCallback((config) => {
+    setStitchConfig(config);
+    saveStitchConfig(config);
+  }, []);
 
   // Helper Function to Convert Data URL to Blob
   const dataURLToBlob = (dataURL) => {
@@ -581,6 +1419,22 @@ const PanoramaViewer = () => {
     return new Blob([ab], { type: mimeString });
   };
 
+  // Helper Function to Convert a Blob to a Data URL
+  const blobToDataURL = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onloadend = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+  // Helper Function to Load an Image Element from a URL
+  const loadImage = (src) => new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Unable to load image.'));
+    img.src = src;
+  });
+
   /** Helper Functions **/
 
   // Function to create the red marker
@@ -603,38 +1457,6 @@ const PanoramaViewer = () => {
     return new THREE.Mesh(geometry, material);
   }
 
-  // Function to add a middle pointer to a captured plane
-  function addMiddlePointer(capturedPlane, azimuthDeg, elevationDeg) {
-    if (typeof azimuthDeg !== 'number' || typeof elevationDeg !== 'number') return;
-
-    const pointerGeometry = new THREE.SphereGeometry(0.05, 16, 16);
-    const pointerMaterial = new THREE.MeshBasicMaterial({ color: 0x00ff00 }); // Green color for pointers
-    const pointer = new THREE.Mesh(pointerGeometry, pointerMaterial);
-
-    // Position the pointer at the center of the captured plane
-    pointer.position.set(0, 0, 0.01); // Slightly forward to prevent z-fighting
-    capturedPlane.add(pointer);
-
-    // Store metadata for the pointer
-    pointer.userData = { azimuth: azimuthDeg, elevation: elevationDeg, isPointer: true };
-
-    // Animate the pointer (pulsating effect)
-    animatePointer(pointer);
-  }
-
-  // Function to animate the pointer (pulsating effect)
-  function animatePointer(pointer) {
-    const scaleFactor = 1.2;
-    const duration = 1000; // 1 second
-
-    new TWEEN.Tween(pointer.scale)
-      .to({ x: scaleFactor, y: scaleFactor, z: scaleFactor }, duration / 2)
-      .easing(TWEEN.Easing.Quadratic.Out)
-      .yoyo(true)
-      .repeat(Infinity)
-      .start();
-  }
-
   // Function to stop the video stream
   function stopVideoStream(video) {
     if (video.srcObject) {
@@ -652,6 +1474,32 @@ const PanoramaViewer = () => {
     return Math.abs(dx) < threshold && Math.abs(dy) < threshold;
   }
 
+  // Function to rotate and color the horizon line of the level indicator
+  function updateHorizonIndicator(horizon, roll, isLevel) {
+    if (!horizon) return;
+    // The real horizon appears rotated opposite to the device
+    horizon.style.transform = `rotate(${roll === null ? 0 : -roll}deg)`;
+    horizon.style.background = isLevel ? '#4CAF50' : '#FF9800';
+    horizon.style.opacity = roll === null ? '0.3' : '1';
+  }
+
+  // Function to fill the countdown ring around the reticle (progress 0..1)
+  function updateDwellRing(ring, progress) {
+    if (!ring) return;
+    ring.style.strokeDashoffset = `${DWELL_RING_CIRCUMFERENCE * (1 - progress)}`;
+  }
+
+  // Styles for small inline action buttons
+  const smallButtonStyle = {
+    margin: 0,
+    padding: '6px 12px',
+    background: '#ffffffee',
+    border: 'none',
+    cursor: 'pointer',
+    borderRadius: '5px',
+    fontSize: '13px',
+  };
+
   // Styles for Directional Arrows
   const arrowButtonStyle = {
     padding: '10px',
@@ -695,6 +1543,63 @@ const PanoramaViewer = () => {
         }}
       />
       
+      {/* Stability Countdown Ring */}
+      <svg
+        width="48"
+        height="48"
+        style={{
+          position: 'absolute',
+          top: '50%',
+          left: '50%',
+          transform: 'translate(-50%, -50%) rotate(-90deg)',
+          zIndex: 2,
+          pointerEvents: 'none'
+        }}
+      >
+        <circle
+          ref={dwellRingRef}
+          cx="24"
+          cy="24"
+          r={DWELL_RING_RADIUS}
+          fill="none"
+          stroke="#4CAF50"
+          strokeWidth="4"
+          strokeDasharray={DWELL_RING_CIRCUMFERENCE}
+          strokeDashoffset={DWELL_RING_CIRCUMFERENCE}
+        />
+      </svg>
+
+      {/* Horizon Level Indicator */}
+      <div
+        style={{
+          position: 'absolute',
+          top: '50%',
+          left: 'calc(50% + 45px)',
+          transform: 'translateY(-50%)',
+          zIndex: 2,
+          width: '44px',
+          height: '44px',
+          border: '2px solid rgba(255,255,255,0.6)',
+          borderRadius: '50%',
+          background: 'rgba(0,0,0,0.3)',
+          overflow: 'hidden',
+          pointerEvents: 'none'
+        }}
+      >
+        <div
+          ref={horizonRef}
+          style={{
+            position: 'absolute',
+            top: '50%',
+            left: '-10%',
+            width: '120%',
+            height: '3px',
+            marginTop: '-1.5px',
+            background: '#4CAF50'
+          }}
+        />
+      </div>
+
       {/* Directional Arrows */}
       <div
         style={{
@@ -745,6 +1650,36 @@ const PanoramaViewer = () => {
           boxShadow: '0 0 15px rgba(0,0,0,0.5)'
         }}
       >
+        {/* Capture Plan Picker */}
+        {captureCount === 0 && (
+          <CapturePlanPanel
+            plan={capturePlan}
+            cameraFov={cameraFov}
+            onChange={handleCapturePlanChange}
+          />
+        )}
+
+        {/* Calibrate Button */}
+        {captureCount === 0 && cameraStream && (
+          <button
+            onClick={() => setCalibrating(true)}
+            style={{
+              padding: '8px 16px',
+              background: '#ffffffee',
+              border: 'none',
+              cursor: 'pointer',
+              margin: '0 0 15px',
+              borderRadius: '5px',
+              fontSize: '14px',
+              transition: 'background 0.3s',
+            }}
+            onMouseOver={(e) => e.target.style.background = '#ffffff'}
+            onMouseOut={(e) => e.target.style.background = '#ffffffee'}
+          >
+            Calibrate Camera ({hfov}° × {vfov}°)
+          </button>
+        )}
+
         {/* Capture Button */}
         {queueReady && captureCount < maxCaptures && captureQueueRef.current.length > 0 && !firstCaptureDoneRef.current && (
           <button
@@ -767,10 +1702,10 @@ const PanoramaViewer = () => {
           </button>
         )}
         
-        {/* Upload & Stitch Button */}
-        {isPanoramaComplete && capturedPlanesRef.current.length === maxCaptures && (
+        {/* Stitch Button (default provider) */}
+        {isPanoramaComplete && captureCount > 0 && (
           <button
-            onClick={handleUploadAndStitch}
+            onClick={handleStitch}
             style={{
               padding: '12px 25px',
               background: '#4CAF50',
@@ -783,20 +1718,96 @@ const PanoramaViewer = () => {
               color: '#fff',
               transition: 'background 0.3s',
             }}
-            disabled={uploading}
+            disabled={Boolean(stitching)}
             onMouseOver={(e) => e.target.style.background = '#45a049'}
             onMouseOut={(e) => e.target.style.background = '#4CAF50'}
           >
-            {uploading ? `Uploading... ${uploadProgress}%` : 'Upload & Stitch'}
+            {stitching ? `Stitching... ${stitching.percent}%` : defaultStitchProvider.name}
           </button>
         )}
         
         {/* Instructions */}
         <div style={{ marginBottom: '10px', fontSize: '16px' }}>{instructions}</div>
         
+        {/* Capture Settings */}
+        <button
+          onClick={() => setShowSettings(!showSettings)}
+          style={{
+            padding: '6px 12px',
+            background: '#ffffffee',
+            border: 'none',
+            cursor: 'pointer',
+            margin: '0 0 10px',
+            borderRadius: '5px',
+            fontSize: '13px',
+            transition: 'background 0.3s',
+          }}
+          onMouseOver={(e) => e.target.style.background = '#ffffff'}
+          onMouseOut={(e) => e.target.style.background = '#ffffffee'}
+        >
+          {showSettings ? 'Hide Settings' : 'Settings'}
+        </button>
+        {showSettings && (
+          <>
+            <CaptureSettingsPanel
+              settings={captureSettings}
+              onChange={handleCaptureSettingsChange}
+            />
+            <StitchSettingsPanel
+              config={stitchConfig}
+              onChange={handleStitchConfigChange}
+            />
+          </>
+        )}
+
+        {/* Library */}
+        <button
+          onClick={() => setShowLibrary(true)}
+          style={{
+            padding: '6px 12px',
+            background: '#ffffffee',
+            border: 'none',
+            cursor: 'pointer',
+            margin: '0 0 10px 8px',
+            borderRadius: '5px',
+            fontSize: '13px',
+            transition: 'background 0.3s',
+          }}
+          onMouseOver={(e) => e.target.style.background = '#ffffff'}
+          onMouseOut={(e) => e.target.style.background = '#ffffffee'}
+        >
+          Library
+        </button>
+
+        {/* Undo / Skip Controls */}
+        {captureCount > 0 && (
+          <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '10px' }}>
+            <button onClick={undoLastCapture} style={smallButtonStyle}>
+              Undo Last
+            </button>
+            {captureQueueRef.current.length > 0 && (
+              <button onClick={skipCurrentSlot} style={smallButtonStyle}>
+                Skip Slot
+              </button>
+            )}
+            {skippedCount > 0 && (
+              <button onClick={restoreSkippedSlots} style={smallButtonStyle}>
+                Restore Skipped ({skippedCount})
+              </button>
+            )}
+            {coverage && !coverage.complete && (
+              <button onClick={fillCoverageGaps} style={smallButtonStyle} title="Add shots aimed at the parts of the sphere no slot covers">
+                Fill Gaps
+              </button>
+            )}
+          </div>
+        )}
+
         {/* Capture Status */}
         <div style={{ marginTop: '10px', fontSize: '14px' }}>
           <strong>Captures:</strong> {captureCount} / {maxCaptures}
+          {skippedCount > 0 && ` (${skippedCount} skipped)`}
+          {coverage && ` · ${Math.floor(coverage.coveredRatio * 100)}% covered`}
         </div>
         
         {/* Progress Bar */}
@@ -805,10 +1816,14 @@ const PanoramaViewer = () => {
           <span style={{ color: '#fff' }}>{` ${captureCount} / ${maxCaptures}`}</span>
         </div>
         
-        {/* Upload Progress */}
-        {uploading && (
+        {/* Stitch Progress */}
+        {stitching && (
           <div style={{ marginTop: '10px', fontSize: '14px' }}>
-            <strong>Uploading:</strong> {uploadProgress}%
+            <strong>Stitching ({stitching.stage}):</strong> {stitching.percent}%
+            {stitching.jobId && <div style={{ fontSize: '12px', color: '#ccc' }}>Job {stitching.jobId}</div>}
+            <button onClick={cancelStitch} style={{ ...smallButtonStyle, marginTop: '6px' }}>
+              Cancel
+            </button>
           </div>
         )}
         
@@ -875,7 +1890,7 @@ const PanoramaViewer = () => {
       )}
       
       {/* Panorama Completion Overlay */}
-      {isPanoramaComplete && capturedPlanesRef.current.length === maxCaptures && (
+      {isPanoramaComplete && captureCount > 0 && (
         <div
           style={{
             position: 'absolute',
@@ -893,106 +1908,189 @@ const PanoramaViewer = () => {
           }}
         >
           <h2>Panorama Captured!</h2>
-          <button
-            onClick={handleUploadAndStitch}
-            style={{
-              padding: '12px 25px',
-              background: '#4CAF50',
-              border: 'none',
-              cursor: 'pointer',
-              marginTop: '20px',
-              borderRadius: '5px',
-              fontWeight: 'bold',
-              fontSize: '16px',
-              color: '#fff',
-              transition: 'background 0.3s',
-            }}
-            disabled={uploading}
-            onMouseOver={(e) => e.target.style.background = '#45a049'}
-            onMouseOut={(e) => e.target.style.background = '#4CAF50'}
-          >
-            {uploading ? `Uploading... ${uploadProgress}%` : 'Upload & Stitch'}
-          </button>
+          {stitching ? (
+            <div style={{ marginTop: '15px', fontSize: '14px' }}>
+              <strong>{getStitchProvider(stitching.providerId)?.name || stitching.providerId} ({stitching.stage}):</strong> {stitching.percent}%
+              {stitching.jobId && <div style={{ fontSize: '12px', color: '#ccc' }}>Job {stitching.jobId}</div>}
+              <progress value={stitching.percent} max={100} style={{ display: 'block', width: '100%', height: '10px', marginTop: '8px' }}></progress>
+              {stitching.files && (stitching.stage === 'uploading' || stitching.stage === 'committing') && (
+                <UploadProgressList files={stitching.files} />
+              )}
+              <button
+                onClick={cancelStitch}
+                style={{
+                  padding: '8px 16px',
+                  background: '#ff4d4dee',
+                  border: 'none',
+                  cursor: 'pointer',
+                  marginTop: '10px',
+                  borderRadius: '5px',
+                  fontWeight: 'bold',
+                  fontSize: '14px',
+                  color: '#fff',
+                  transition: 'background 0.3s',
+                }}
+                onMouseOver={(e) => e.target.style.background = '#ff4d4d'}
+                onMouseOut={(e) => e.target.style.background = '#ff4d4dee'}
+              >
+                Cancel
+              </button>
+            </div>
+          ) : (
+            <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', marginTop: '10px' }}>
+              {STITCH_PROVIDERS.map(provider => {
+                const [color, hoverColor] = PROVIDER_BUTTON_COLORS[provider.id] || PROVIDER_BUTTON_COLORS.default;
+                return (
+                  <button
+                    key={provider.id}
+                    onClick={() => runStitch(provider.id)}
+                    title={provider.description}
+                    style={{
+                      padding: '12px 25px',
+                      background: color,
+                      border: provider.id === defaultStitchProvider.id ? '2px solid #fff' : 'none',
+                      cursor: 'pointer',
+                      marginTop: '10px',
+                      borderRadius: '5px',
+                      fontWeight: 'bold',
+                      fontSize: '16px',
+                      color: '#fff',
+                      transition: 'background 0.3s',
+                    }}
+                    onMouseOver={(e) => e.target.style.background = hoverColor}
+                    onMouseOut={(e) => e.target.style.background = color}
+                  >
+                    {provider.name}
+                  </button>
+                );
+              })}
+              <div style={{ display: 'flex', gap: '6px', alignItems: 'center', marginTop: '15px', fontSize: '13px' }}>
+                <button onClick={previewCapture} style={smallButtonStyle} title="Quick look at the captures without stitching">
+                  Preview
+                </button>
+                <button onClick={exportCaptures} style={smallButtonStyle}>
+                  Export captures
+                </button>
+                <label>
+                  Project{' '}
+                  <select
+                    value={bundleProject}
+                    onChange={(e) => handleBundleProjectChange(e.target.value)}
+                    style={{ padding: '3px', borderRadius: '4px', border: 'none', fontSize: '12px' }}
+                  >
+                    {PROJECT_FORMATS.map(projectFormat => (
+                      <option key={projectFormat.id} value={projectFormat.id}>{projectFormat.name}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+            </div>
+          )}
         </div>
       )}
       
-      {/* Panorama Preview Modal */}
-      {previewPanorama && (
+      {/* Resume Interrupted Session Prompt */}
+      {resumableSession && captureCount === 0 && (
         <div
           style={{
             position: 'absolute',
-            top: 0,
-            left: 0,
-            width: '100%',
-            height: '100%',
-            backgroundColor: 'rgba(0,0,0,0.9)',
-            zIndex: 5,
-            display: 'flex',
-            alignItems: 'center',
-            justifyContent: 'center'
+            top: '50%',
+            left: '50%',
+            transform: 'translate(-50%, -50%)',
+            zIndex: 4,
+            color: 'white',
+            background: 'rgba(0,0,0,0.85)',
+            padding: '25px',
+            borderRadius: '10px',
+            textAlign: 'center',
+            fontFamily: 'Arial, sans-serif',
+            boxShadow: '0 0 20px rgba(0,0,0,0.7)'
           }}
         >
-          <div
-            style={{
-              position: 'relative',
-              width: '80%',
-              height: '80%',
-              backgroundColor: '#000',
-              borderRadius: '10px',
-              overflow: 'hidden',
-              boxShadow: '0 0 30px rgba(0,0,0,0.8)'
-            }}
-          >
-            <img 
-              src={previewPanorama} 
-              alt="Panorama Preview" 
-              style={{ width: '100%', height: '100%', objectFit: 'cover' }} 
-            />
-            <button
-              onClick={exportPanorama}
-              style={{
-                position: 'absolute',
-                bottom: '20px',
-                left: '50%',
-                transform: 'translateX(-50%)',
-                padding: '10px 20px',
-                background: '#ffffffee',
-                border: 'none',
-                cursor: 'pointer',
-                borderRadius: '5px',
-                fontWeight: 'bold',
-                fontSize: '14px',
-                transition: 'background 0.3s',
-              }}
-              onMouseOver={(e) => e.target.style.background = '#ffffff'}
-              onMouseOut={(e) => e.target.style.background = '#ffffffee'}
-            >
-              Export Panorama
+          <h3 style={{ marginTop: 0 }}>Resume previous session?</h3>
+          <div style={{ fontSize: '14px' }}>
+            {resumableSession.captureCount} captures, started {new Date(resumableSession.createdAt).toLocaleString()}
+          </div>
+          <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', marginTop: '15px' }}>
+            <button onClick={() => resumeSession(resumableSession)} style={smallButtonStyle}>
+              Resume
             </button>
-            <button
-              onClick={closePreview}
-              style={{
-                position: 'absolute',
-                top: '20px',
-                right: '20px',
-                padding: '8px 16px',
-                background: '#ff4d4dee',
-                border: 'none',
-                cursor: 'pointer',
-                borderRadius: '5px',
-                fontWeight: 'bold',
-                fontSize: '14px',
-                color: '#fff',
-                transition: 'background 0.3s',
-              }}
-              onMouseOver={(e) => e.target.style.background = '#ff4d4d'}
-              onMouseOut={(e) => e.target.style.background = '#ff4d4dee'}
-            >
-              Close
+            <button onClick={discardResumableSession} style={smallButtonStyle}>
+              Discard
             </button>
           </div>
         </div>
       )}
+
+      {/* Retake Prompt for a Tapped Capture */}
+      {selectedPlane && (
+        <div
+          style={{
+            position: 'absolute',
+            bottom: '80px',
+            left: '50%',
+            transform: 'translateX(-50%)',
+            zIndex: 4,
+            color: 'white',
+            background: 'rgba(0,0,0,0.8)',
+            padding: '15px',
+            borderRadius: '8px',
+            textAlign: 'center',
+            fontFamily: 'Arial, sans-serif',
+            boxShadow: '0 0 15px rgba(0,0,0,0.5)'
+          }}
+        >
+          <div style={{ marginBottom: '10px', fontSize: '14px' }}>
+            Shot at Azimuth {selectedPlane.userData.slot.azimuth}°, Elevation {selectedPlane.userData.slot.elevation}°
+          </div>
+          <div style={{ display: 'flex', gap: '8px', justifyContent: 'center' }}>
+            <button onClick={retakeSelectedCapture} style={smallButtonStyle}>
+              Retake
+            </button>
+            <button onClick={() => setSelectedPlane(null)} style={smallButtonStyle}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* FOV Calibration Wizard */}
+      {calibrating && (
+        <FovCalibrationWizard
+          stream={cameraStream}
+          getCameraQuaternion={getCameraQuaternion}
+          currentFov={cameraFov}
+          onSave={handleCalibrationSave}
+          onCancel={() => setCalibrating(false)}
+        />
+      )}
+
+      {/* Session Library */}
+      {showLibrary && (
+        <PanoramaLibrary
+          activeSessionId={sessionRef.current ? sessionRef.current.id : undefined}
+          bundleProject={bundleProject}
+          onBundleProjectChange={handleBundleProjectChange}
+          onOpen={openLibrarySession}
+          onRestitch={restitchLibrarySession}
+          onDelete={handleLibraryDelete}
+          onImport={handleLibraryImport}
+          onClose={() => setShowLibrary(false)}
+        />
+      )}
+
+      {/* Panorama 360 Viewer */}
+      {previewPanorama && rendererRef.current && (
+        <EquirectViewer
+          renderer={rendererRef.current}
+          src={previewPanorama}
+          tiles={previewTiles?.src === previewPanorama ? previewTiles.tiles : null}
+          tilingProgress={previewTiles?.src === previewPanorama ? previewTiles.progress : null}
+          onExport={exportPanorama}
+          onExportFormat={exportPanoramaFormat}
+          onClose={closePreview}
+        />
+      )}
     </div>
   );
 };
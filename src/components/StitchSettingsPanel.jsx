@@ -0,0 +1,127 @@
+// src/components/StitchSettingsPanel.jsx
+
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { STITCH_PROVIDERS } from '../utils/stitchProviders';
+import { formatHeaders, parseHeaders } from '../utils/stitchConfig';
+
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '4px',
+  borderRadius: '4px',
+  border: 'none',
+  fontSize: '13px',
+};
+
+const selectStyle = {
+  padding: '4px',
+  borderRadius: '4px',
+  border: 'none',
+  fontSize: '13px',
+};
+
+// Default stitcher, remote endpoint, protocol, auth headers and timeout
+const StitchSettingsPanel = ({ config, onChange }) => {
+  const [headersText, setHeadersText] = useState(formatHeaders(config.headers));
+
+  // Keep the header editor in sync when the config is changed from outside
+  useEffect(() => {
+    setHeadersText(formatHeaders(config.headers));
+  }, [config.headers]);
+
+  return (
+    <div style={{ marginTop: '10px', fontSize: '13px' }}>
+      <div style={{ marginBottom: '6px' }}>
+        <label>
+          Default stitcher{' '}
+          <select
+            value={config.provider}
+            onChange={(e) => onChange({ ...config, provider: e.target.value })}
+            style={selectStyle}
+          >
+            {STITCH_PROVIDERS.map(provider => (
+              <option key={provider.id} value={provider.id}>{provider.name}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <div style={{ marginBottom: '6px' }}>
+        <label>
+          Stitching endpoint
+          <input
+            type="url"
+            value={config.endpoint}
+            onChange={(e) => onChange({ ...config, endpoint: e.target.value.trim() })}
+            style={inputStyle}
+          />
+        </label>
+      </div>
+      <div style={{ marginBottom: '6px' }}>
+        <label>
+          Protocol{' '}
+          <select
+            value={config.protocol}
+            onChange={(e) => onChange({ ...config, protocol: e.target.value })}
+            style={selectStyle}
+          >
+            <option value="sync">Single request</option>
+            <option value="jobs">Stitch job</option>
+            <option value="chunked">Resumable upload + job</option>
+          </select>
+        </label>
+        {config.protocol !== 'sync' && (
+          <label style={{ marginLeft: '8px' }}>
+            Updates{' '}
+            <select
+              value={config.jobUpdates}
+              onChange={(e) => onChange({ ...config, jobUpdates: e.target.value })}
+              style={selectStyle}
+            >
+              <option value="poll">Polling</option>
+              <option value="sse">Server-Sent Events</option>
+            </select>
+          </label>
+        )}
+      </div>
+      <div style={{ marginBottom: '6px' }}>
+        <label>
+          Request headers (one &quot;Name: value&quot; per line)
+          <textarea
+            rows={2}
+            value={headersText}
+            onChange={(e) => setHeadersText(e.target.value)}
+            onBlur={() => onChange({ ...config, headers: parseHeaders(headersText) })}
+            placeholder="Authorization: Bearer ..."
+            style={{ ...inputStyle, fontFamily: 'monospace' }}
+          />
+        </label>
+      </div>
+      <div style={{ marginBottom: '6px' }}>
+        <label>
+          Timeout (s, 0 = none){' '}
+          <input
+            type="number"
+            min={0}
+            step={5}
+            value={config.timeout / 1000}
+            onChange={(e) => {
+              const seconds = Number(e.target.value);
+              if (Number.isFinite(seconds) && seconds >= 0) {
+                onChange({ ...config, timeout: Math.round(seconds * 1000) });
+              }
+            }}
+            style={{ ...inputStyle, width: '60px' }}
+          />
+        </label>
+      </div>
+    </div>
+  );
+};
+
+StitchSettingsPanel.propTypes = {
+  config: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+export default StitchSettingsPanel;
@@ -0,0 +1,51 @@
+// src/components/UploadProgressList.jsx
+
+import PropTypes from 'prop-types';
+
+const STATUS_COLORS = {
+  pending: '#777',
+  uploading: '#2196F3',
+  retrying: '#FF9800',
+  done: '#4CAF50',
+};
+
+// Per-file progress of a chunked capture-set upload
+const UploadProgressList = ({ files }) => {
+  const doneCount = files.filter(file => file.status === 'done').length;
+
+  return (
+    <div style={{ marginTop: '10px', textAlign: 'left', fontSize: '12px' }}>
+      <div style={{ marginBottom: '6px' }}>{doneCount} / {files.length} files uploaded</div>
+      <div style={{ maxHeight: '150px', overflowY: 'auto' }}>
+        {files.map(file => {
+          const percent = file.size ? Math.round((file.loaded * 100) / file.size) : 100;
+          return (
+            <div key={file.filename} style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '3px' }}>
+              <span style={{ width: '90px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                {file.filename}
+              </span>
+              <div style={{ flex: 1, height: '6px', background: '#333', borderRadius: '3px', overflow: 'hidden' }}>
+                <div style={{ width: `${percent}%`, height: '100%', background: STATUS_COLORS[file.status] || '#777' }} />
+              </div>
+              <span style={{ width: '70px', textAlign: 'right', color: STATUS_COLORS[file.status] || '#ccc' }}>
+                {file.status === 'retrying' ? `retry ${file.retries}` : `${percent}%`}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+UploadProgressList.propTypes = {
+  files: PropTypes.arrayOf(PropTypes.shape({
+    filename: PropTypes.string.isRequired,
+    size: PropTypes.number.isRequired,
+    loaded: PropTypes.number.isRequired,
+    status: PropTypes.string.isRequired,
+    retries: PropTypes.number,
+  })).isRequired,
+};
+
+export default UploadProgressList;
@@ -0,0 +1,176 @@
+// src/components/poseStitchWorker.js
+
+// Pose stitch: projects every frame onto a 2:1 equirectangular canvas from its
+// recorded pose (device quaternion, else the planned azimuth/elevation) and the camera FOV. No feature matching, so it works
+// on low-texture walls and ceilings; overlaps are feathered towards frame edges.
+//
+// Messages in:
+//   { type: 'stitch', width, fov: { hfov, vfov }, images: [{ blob, azimuth, elevation, quaternion? }] }
+// Messages out:
+//   { type: 'progress', stage, percent }
+//   { type: 'done', blob }
+//   { type: 'error', message }
+
+const degToRad = (degrees) => degrees * (Math.PI / 180);
+
+const postProgress = (stage, percent) => {
+  self.postMessage({ type: 'progress', stage, percent: Math.round(percent) });
+};
+
+// Same convention as placeObjectOnSphere: azimuth 0 looks down -z, azimuth grows towards +x
+const direction = (azimuthRad, elevationRad) => [
+  Math.cos(elevationRad) * Math.sin(azimuthRad),
+  Math.sin(elevationRad),
+  -Math.cos(elevationRad) * Math.cos(azimuthRad),
+];
+
+const cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0],
+];
+
+// Rotate a vector by a quaternion [x, y, z, w]
+const rotate = (v, [qx, qy, qz, qw]) => {
+  const ix = qw * v[0] + qy * v[2] - qz * v[1];
+  const iy = qw * v[1] + qz * v[0] - qx * v[2];
+  const iz = qw * v[2] + qx * v[1] - qy * v[0];
+  const iw = -qx * v[0] - qy * v[1] - qz * v[2];
+  return [
+    ix * qw + iw * -qx + iy * -qz - iz * -qy,
+    iy * qw + iw * -qy + iz * -qx - ix * -qz,
+    iz * qw + iw * -qz + ix * -qy - iy * -qx,
+  ];
+};
+
+// Camera basis (right, up, forward) for a frame; the recorded device pose wins over the planned slot
+const frameBasis = ({ azimuth, elevation, quaternion }) => {
+  if (Array.isArray(quaternion) && quaternion.length === 4) {
+    return {
+      right: rotate([1, 0, 0], quaternion),
+      up: rotate([0, 1, 0], quaternion),
+      forward: rotate([0, 0, -1], quaternion),
+    };
+  }
+
+  const azimuthRad = degToRad(azimuth);
+  const forward = direction(azimuthRad, degToRad(elevation));
+  const right = [Math.cos(azimuthRad), 0, Math.sin(azimuthRad)];
+  const up = cross(right, forward);
+  return { right, up, forward };
+};
+
+// Decode a frame, downscaled to the resolution the output can actually use
+const decodeFrame = async (blob, targetWidth) => {
+  const probe = await createImageBitmap(blob);
+  const scale = Math.min(1, targetWidth / probe.width);
+  const width = Math.max(1, Math.round(probe.width * scale));
+  const height = Math.max(1, Math.round(probe.height * scale));
+  probe.close();
+
+  const bitmap = await createImageBitmap(blob, { resizeWidth: width, resizeHeight: height, resizeQuality: 'medium' });
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return ctx.getImageData(0, 0, width, height);
+};
+
+// Accumulate one frame into the weighted RGB buffer
+const projectFrame = (accum, outWidth, outHeight, frame, basis, tanHalfH, tanHalfV, cosMaxAngle, latRange) => {
+  const { right, up, forward } = basis;
+  const { data, width: frameWidth, height: frameHeight } = frame;
+
+  const rowStart = Math.max(0, Math.floor(((90 - latRange[1]) / 180) * outHeight));
+  const rowEnd = Math.min(outHeight, Math.ceil(((90 - latRange[0]) / 180) * outHeight));
+
+  for (let v = rowStart; v < rowEnd; v++) {
+    const lat = degToRad(90 - ((v + 0.5) / outHeight) * 180);
+    const cosLat = Math.cos(lat);
+    const sinLat = Math.sin(lat);
+
+    for (let u = 0; u < outWidth; u++) {
+      const lon = degToRad(((u + 0.5) / outWidth) * 360 - 180);
+      const px = cosLat * Math.sin(lon);
+      const py = sinLat;
+      const pz = -cosLat * Math.cos(lon);
+
+      const z = px * forward[0] + py * forward[1] + pz * forward[2];
+      if (z < cosMaxAngle) continue;
+
+      const nx = (px * right[0] + py * right[1] + pz * right[2]) / (z * tanHalfH);
+      const ny = (px * up[0] + py * up[1] + pz * up[2]) / (z * tanHalfV);
+      if (nx <= -1 || nx >= 1 || ny <= -1 || ny >= 1) continue;
+
+      // Feather: weight falls to zero at the frame edges
+      const weight = Math.min(1 - Math.abs(nx), 1 - Math.abs(ny));
+
+      const sx = Math.min(frameWidth - 1, Math.floor(((nx + 1) / 2) * frameWidth));
+      const sy = Math.min(frameHeight - 1, Math.floor(((1 - ny) / 2) * frameHeight));
+      const src = (sy * frameWidth + sx) * 4;
+      const dst = (v * outWidth + u) * 4;
+
+      accum[dst] += data[src] * weight;
+      accum[dst + 1] += data[src + 1] * weight;
+      accum[dst + 2] += data[src + 2] * weight;
+      accum[dst + 3] += weight;
+    }
+  }
+};
+
+const poseStitch = async ({ width, fov, images }) => {
+  const outWidth = width;
+  const outHeight = Math.round(width / 2);
+  const accum = new Float32Array(outWidth * outHeight * 4);
+
+  const tanHalfH = Math.tan(degToRad(fov.hfov) / 2);
+  const tanHalfV = Math.tan(degToRad(fov.vfov) / 2);
+  // Angular radius of a frame (centre to corner)
+  const maxAngle = Math.atan(Math.sqrt(tanHalfH * tanHalfH + tanHalfV * tanHalfV));
+  const maxAngleDeg = maxAngle * (180 / Math.PI);
+
+  // Frames only need as many pixels as the output has per degree
+  const targetFrameWidth = Math.ceil((outWidth / 360) * fov.hfov * 1.5);
+
+  for (let i = 0; i < images.length; i++) {
+    const image = images[i];
+    const frame = await decodeFrame(image.blob, targetFrameWidth);
+    const basis = frameBasis(image);
+    const elevation = Math.asin(Math.max(-1, Math.min(1, basis.forward[1]))) * (180 / Math.PI);
+    const latRange = [
+      Math.max(-90, elevation - maxAngleDeg),
+      Math.min(90, elevation + maxAngleDeg),
+    ];
+    projectFrame(accum, outWidth, outHeight, frame, basis, tanHalfH, tanHalfV, Math.cos(maxAngle), latRange);
+    postProgress('projecting', ((i + 1) / images.length) * 90);
+  }
+
+  postProgress('encoding', 90);
+  const output = new ImageData(outWidth, outHeight);
+  for (let i = 0; i < outWidth * outHeight; i++) {
+    const weight = accum[i * 4 + 3];
+    if (weight > 0) {
+      output.data[i * 4] = accum[i * 4] / weight;
+      output.data[i * 4 + 1] = accum[i * 4 + 1] / weight;
+      output.data[i * 4 + 2] = accum[i * 4 + 2] / weight;
+    }
+    output.data[i * 4 + 3] = 255;
+  }
+
+  const canvas = new OffscreenCanvas(outWidth, outHeight);
+  canvas.getContext('2d').putImageData(output, 0, 0);
+  const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.92 });
+  postProgress('done', 100);
+  return blob;
+};
+
+self.onmessage = async (e) => {
+  if (e.data.type !== 'stitch') return;
+  try {
+    const blob = await poseStitch(e.data);
+    self.postMessage({ type: 'done', blob });
+  } catch (error) {
+    console.error('Pose Stitch Error:', error);
+    self.postMessage({ type: 'error', message: error.message || String(error) });
+  }
+};
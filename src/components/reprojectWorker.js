@@ -0,0 +1,282 @@
+// src/components/reprojectWorker.js
+
+// Reprojects an equirectangular panorama into other views: cubemap faces (separate, strip
+// or cross), a stereographic "little planet", rectilinear crops and a multi-resolution
+// cube tile pyramid. Every output pixel is a bilinear sample of the panorama along its
+// view direction.
+//
+// Directions follow placeObjectOnSphere and the pose stitcher: azimuth 0 looks down -z
+// (the centre of the panorama), azimuth grows towards +x, elevation towards +y.
+//
+// Messages in:
+//   { type: 'reproject', blob, view, format, quality }
+//   view: { kind: 'cubemap', layout: 'faces' | 'strip' | 'cross', size }
+//       | { kind: 'planet', size, fov, heading }
+//       | { kind: 'rectilinear', width, height, heading, pitch, fov }
+//       | { kind: 'tiles', tileSize }
+// Messages out:
+//   { type: 'progress', stage, percent }
+//   { type: 'tile', level, face, row, col, blob }  (tiles only, one per tile as it is encoded)
+//   { type: 'done', files: [{ name, blob }] }
+//   { type: 'error', message }
+
+const degToRad = (degrees) => degrees * (Math.PI / 180);
+
+const postProgress = (stage, percent) => {
+  self.postMessage({ type: 'progress', stage, percent: Math.round(percent) });
+};
+
+// Cube faces as (forward, right, up) bases; up and down keep front at the edge they share with it
+const CUBE_FACES = [
+  { name: 'front', forward: [0, 0, -1], right: [1, 0, 0], up: [0, 1, 0] },
+  { name: 'right', forward: [1, 0, 0], right: [0, 0, 1], up: [0, 1, 0] },
+  { name: 'back', forward: [0, 0, 1], right: [-1, 0, 0], up: [0, 1, 0] },
+  { name: 'left', forward: [-1, 0, 0], right: [0, 0, -1], up: [0, 1, 0] },
+  { name: 'up', forward: [0, 1, 0], right: [1, 0, 0], up: [0, 0, 1] },
+  { name: 'down', forward: [0, -1, 0], right: [1, 0, 0], up: [0, 0, -1] },
+];
+
+// Face positions (column, row) of the 4x3 horizontal cross
+const CROSS_CELLS = {
+  up: [1, 0],
+  left: [0, 1],
+  front: [1, 1],
+  right: [2, 1],
+  back: [3, 1],
+  down: [1, 2],
+};
+
+const cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0],
+];
+
+// Rows copied out of the decoded panorama at a time
+const DECODE_STRIP_ROWS = 256;
+
+// Decoded pixels of the panorama ({ data, width, height }, laid out like an ImageData).
+// They are read through a canvas one strip at a time, so a 16k panorama is not held as
+// bitmap, full-size canvas and ImageData at once
+const decodePanorama = async (blob) => {
+  const bitmap = await createImageBitmap(blob);
+  const { width, height } = bitmap;
+  const data = new Uint8ClampedArray(width * height * 4);
+  try {
+    const canvas = new OffscreenCanvas(width, Math.min(DECODE_STRIP_ROWS, height));
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.globalCompositeOperation = 'copy';
+    for (let top = 0; top < height; top += DECODE_STRIP_ROWS) {
+      const rows = Math.min(DECODE_STRIP_ROWS, height - top);
+      ctx.drawImage(bitmap, 0, top, width, rows, 0, 0, width, rows);
+      data.set(ctx.getImageData(0, 0, width, rows).data, top * width * 4);
+    }
+  } finally {
+    bitmap.close();
+  }
+  return { data, width, height };
+};
+
+// Bilinear sample of the panorama along a direction, written to out at offset
+const sampleDirection = (pano, x, y, z, out, offset) => {
+  const { data, width, height } = pano;
+  const length = Math.sqrt(x * x + y * y + z * z);
+  const lon = Math.atan2(x, -z);
+  const lat = Math.asin(Math.max(-1, Math.min(1, y / length)));
+
+  const u = ((lon + Math.PI) / (2 * Math.PI)) * width - 0.5;
+  const v = ((Math.PI / 2 - lat) / Math.PI) * height - 0.5;
+  const u0 = Math.floor(u);
+  const v0 = Math.max(0, Math.min(height - 1, Math.floor(v)));
+  const v1 = Math.min(height - 1, v0 + 1);
+  const fu = u - u0;
+  const fv = Math.max(0, Math.min(1, v - v0));
+  // Longitude wraps around the seam
+  const x0 = ((u0 % width) + width) % width;
+  const x1 = (x0 + 1) % width;
+
+  const i00 = (v0 * width + x0) * 4;
+  const i10 = (v0 * width + x1) * 4;
+  const i01 = (v1 * width + x0) * 4;
+  const i11 = (v1 * width + x1) * 4;
+  for (let c = 0; c < 3; c++) {
+    const top = data[i00 + c] * (1 - fu) + data[i10 + c] * fu;
+    const bottom = data[i01 + c] * (1 - fu) + data[i11 + c] * fu;
+    out[offset + c] = top * (1 - fv) + bottom * fv;
+  }
+  out[offset + 3] = 255;
+};
+
+// Perspective view with a (forward, right, up) basis; tanX/tanY are the half-extents at distance 1
+const renderPerspective = (pano, width, height, { forward, right, up }, tanX, tanY) => {
+  const output = new ImageData(width, height);
+  for (let row = 0; row < height; row++) {
+    const ny = (1 - (2 * (row + 0.5)) / height) * tanY;
+    for (let col = 0; col < width; col++) {
+      const nx = ((2 * (col + 0.5)) / width - 1) * tanX;
+      sampleDirection(
+        pano,
+        forward[0] + nx * right[0] + ny * up[0],
+        forward[1] + nx * right[1] + ny * up[1],
+        forward[2] + nx * right[2] + ny * up[2],
+        output.data,
+        (row * width + col) * 4
+      );
+    }
+  }
+  return output;
+};
+
+const renderCubeFaces = (pano, size) => CUBE_FACES.map((face, index) => {
+  const image = renderPerspective(pano, size, size, face, 1, 1);
+  postProgress('projecting', ((index + 1) / CUBE_FACES.length) * 80);
+  return { name: face.name, image };
+});
+
+// Stereographic projection centred on the nadir, with azimuth `heading` at the top
+const renderPlanet = (pano, size, fov, heading) => {
+  const output = new ImageData(size, size);
+  // Angle from the nadir reached at the edge of the square
+  const scale = Math.tan(degToRad(Math.min(fov, 350)) / 4);
+  const headingRad = degToRad(heading);
+  for (let row = 0; row < size; row++) {
+    const py = 1 - (2 * (row + 0.5)) / size;
+    for (let col = 0; col < size; col++) {
+      const px = (2 * (col + 0.5)) / size - 1;
+      const theta = 2 * Math.atan(Math.sqrt(px * px + py * py) * scale);
+      const azimuth = Math.atan2(px, py) + headingRad;
+      const elevation = theta - Math.PI / 2;
+      sampleDirection(
+        pano,
+        Math.cos(elevation) * Math.sin(azimuth),
+        Math.sin(elevation),
+        -Math.cos(elevation) * Math.cos(azimuth),
+        output.data,
+        (row * size + col) * 4
+      );
+    }
+    if (row % 64 === 0) postProgress('projecting', (row / size) * 80);
+  }
+  return output;
+};
+
+const renderRectilinear = (pano, { width, height, heading, pitch, fov }) => {
+  const azimuth = degToRad(heading);
+  const elevation = degToRad(pitch);
+  const forward = [
+    Math.cos(elevation) * Math.sin(azimuth),
+    Math.sin(elevation),
+    -Math.cos(elevation) * Math.cos(azimuth),
+  ];
+  const right = [Math.cos(azimuth), 0, Math.sin(azimuth)];
+  const up = cross(right, forward);
+  const tanX = Math.tan(degToRad(fov) / 2);
+  return renderPerspective(pano, width, height, { forward, right, up }, tanX, (tanX * height) / width);
+};
+
+// Number of pyramid levels: level n holds the faces at tileSize·2^n, up to about the
+// resolution of the panorama's equator (four faces around), upscaling by at most 1.5x
+const tileLevelCount = (pano, tileSize) => {
+  const faceSize = pano.width / 4;
+  let count = 1;
+  while (tileSize * 2 ** count <= faceSize * 1.5) count++;
+  return count;
+};
+
+// Renders and posts every tile of the pyramid, coarsest level first; row 0 is the top of a face
+const renderTiles = async (pano, tileSize, format, quality) => {
+  const levelCount = tileLevelCount(pano, tileSize);
+  const total = (CUBE_FACES.length * (4 ** levelCount - 1)) / 3;
+  const canvas = new OffscreenCanvas(tileSize, tileSize);
+  const ctx = canvas.getContext('2d');
+  let rendered = 0;
+
+  for (let level = 0; level < levelCount; level++) {
+    const tilesPerSide = 2 ** level;
+    const span = 2 / tilesPerSide; // Tile width in face coordinates (-1..1)
+    for (const face of CUBE_FACES) {
+      for (let row = 0; row < tilesPerSide; row++) {
+        for (let col = 0; col < tilesPerSide; col++) {
+          const x = -1 + span * (col + 0.5);
+          const y = 1 - span * (row + 0.5);
+          const forward = face.forward.map((value, i) => value + x * face.right[i] + y * face.up[i]);
+          ctx.putImageData(renderPerspective(pano, tileSize, tileSize, { ...face, forward }, span / 2, span / 2), 0, 0);
+          const blob = await encode(canvas, format, quality);
+          self.postMessage({ type: 'tile', level, face: face.name, row, col, blob });
+          rendered++;
+          postProgress('tiling', (rendered / total) * 100);
+        }
+      }
+    }
+  }
+};
+
+// Place cube faces on one canvas: 6x1 strip in CUBE_FACES order, or a 4x3 cross
+const composeFaces = (faces, size, layout) => {
+  const isCross = layout === 'cross';
+  const canvas = new OffscreenCanvas(size * (isCross ? 4 : 6), size * (isCross ? 3 : 1));
+  const ctx = canvas.getContext('2d');
+  faces.forEach((face, index) => {
+    const [column, row] = isCross ? CROSS_CELLS[face.name] : [index, 0];
+    ctx.putImageData(face.image, column * size, row * size);
+  });
+  return canvas;
+};
+
+const encode = async (canvas, format, quality) => {
+  const blob = await canvas.convertToBlob({ type: format, quality });
+  // Browsers silently fall back to PNG for types they cannot encode
+  if (blob.type !== format) {
+    throw new Error(`This browser cannot encode ${format} images.`);
+  }
+  return blob;
+};
+
+const imageCanvas = (image) => {
+  const canvas = new OffscreenCanvas(image.width, image.height);
+  canvas.getContext('2d').putImageData(image, 0, 0);
+  return canvas;
+};
+
+const reproject = async ({ blob, view, format, quality }) => {
+  postProgress('decoding', 0);
+  const pano = await decodePanorama(blob);
+
+  if (view.kind === 'tiles') {
+    await renderTiles(pano, view.tileSize, format, quality);
+    return [];
+  }
+
+  let outputs;
+  if (view.kind === 'cubemap') {
+    const faces = renderCubeFaces(pano, view.size);
+    outputs = view.layout === 'faces'
+      ? faces.map(face => ({ name: face.name, canvas: imageCanvas(face.image) }))
+      : [{ name: `cubemap-${view.layout}`, canvas: composeFaces(faces, view.size, view.layout) }];
+  } else if (view.kind === 'planet') {
+    outputs = [{ name: 'planet', canvas: imageCanvas(renderPlanet(pano, view.size, view.fov, view.heading)) }];
+  } else if (view.kind === 'rectilinear') {
+    outputs = [{ name: 'view', canvas: imageCanvas(renderRectilinear(pano, view)) }];
+  } else {
+    throw new Error(`Unknown view "${view.kind}".`);
+  }
+
+  postProgress('encoding', 80);
+  const files = [];
+  for (const output of outputs) {
+    files.push({ name: output.name, blob: await encode(output.canvas, format, quality) });
+  }
+  postProgress('done', 100);
+  return files;
+};
+
+self.onmessage = async (e) => {
+  if (e.data.type !== 'reproject') return;
+  try {
+    const files = await reproject(e.data);
+    self.postMessage({ type: 'done', files });
+  } catch (error) {
+    console.error('Reprojection Error:', error);
+    self.postMessage({ type: 'error', message: error.message || String(error) });
+  }
+};
@@ -1,57 +1,169 @@
-// src/workers/stitchWorker.js
+// src/components/stitchWorker.js
+/* global importScripts */
 
-importScripts('https://docs.opencv.org/4.x/opencv.js'); // Ensure this path is correct
+// Classic worker: OpenCV.js is loaded with importScripts from a self-hosted URL
+// (the build must include the stitching module, which the npm opencv.js package does not).
+//
+// Messages in:
+//   { type: 'stitch', opencvUrl, fov: { hfov, vfov }, images: [{ blob, azimuth, elevation }] }
+// Messages out:
+//   { type: 'progress', stage, percent }
+//   { type: 'done', blob }
+//   { type: 'error', message }
+//
+// Cancellation is done by the caller terminating the worker; Stitcher.stitch is synchronous.
 
-self.onmessage = async (e) => {
-  const { images } = e.data;
-
-  // Wait until OpenCV is ready
-  if (!cv || !cv.Stitcher) {
-    self.postMessage({ error: 'OpenCV.js not loaded.' });
-    return;
-  }
-
-  try {
-    const cvImages = images.map(img => {
-      const imgElement = new Image();
-      imgElement.src = img;
-      const mat = cv.imread(imgElement);
-      return mat;
-    });
+let cvReady = null;
 
-    const stitcher = cv.Stitcher.create(cv.Stitcher_PANORAMA);
-    const pano = new cv.Mat();
-    const status = stitcher.stitch(cvImages, pano);
+// Time the WASM runtime gets to initialize before the stitch fails
+const OPENCV_INIT_TIMEOUT = 60000;
 
-    if (status !== cv.Stitcher_OK) {
-      self.postMessage({ error: 'Stitching failed with status: ' + status });
+// Load OpenCV once and wait for the WASM runtime to finish initializing
+const loadOpenCV = (opencvUrl) => {
+  if (cvReady) return cvReady;
+  cvReady = new Promise((resolve, reject) => {
+    // A runtime that never initializes (e.g. the .wasm failed to load) would otherwise hang the stitch
+    const timer = setTimeout(() => {
+      reject(new Error(`OpenCV.js from ${opencvUrl} did not initialize within ${OPENCV_INIT_TIMEOUT / 1000} s.`));
+    }, OPENCV_INIT_TIMEOUT);
+    const ready = (module) => {
+      clearTimeout(timer);
+      resolve(module);
+    };
+    const fail = (err) => {
+      clearTimeout(timer);
+      reject(err);
+    };
+    try {
+      importScripts(opencvUrl);
+    } catch (err) {
+      fail(new Error(`Unable to load OpenCV.js from ${opencvUrl}: ${err.message}`));
       return;
     }
+    const cv = self.cv;
+    if (!cv) {
+      fail(new Error('OpenCV.js did not define cv.'));
+    } else if (cv.Mat) {
+      // asm.js builds are ready synchronously
+      ready(cv);
+    } else if (typeof cv.then === 'function') {
+      // Newer builds expose a promise that resolves to the initialized module. The module
+      // is itself that thenable, so drop its then() or resolve() would keep adopting it
+      cv.then(module => {
+        delete module.then;
+        self.cv = module;
+        ready(module);
+      }, fail);
+    } else {
+      cv.onRuntimeInitialized = () => ready(cv);
+      cv.onAbort = (reason) => fail(new Error(`OpenCV.js failed to initialize: ${reason}`));
+    }
+  }).catch(err => {
+    cvReady = null; // Let a later stitch try again
+    throw err;
+  });
+  return cvReady;
+};
 
-    // Create a canvas to draw the panorama
-    const canvas = new OffscreenCanvas(pano.cols, pano.rows);
-    const ctx = canvas.getContext('2d');
+const postProgress = (stage, percent) => {
+  self.postMessage({ type: 'progress', stage, percent: Math.round(percent) });
+};
 
-    // Convert Mat to ImageData
-    const imgData = new ImageData(new Uint8ClampedArray(pano.data), pano.cols, pano.rows);
-    ctx.putImageData(imgData, 0, 0);
+// Decode an image Blob into an RGB Mat
+const blobToMat = async (cv, blob) => {
+  const bitmap = await createImageBitmap(blob);
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
 
-    // Convert canvas to Data URL
-    const blob = await canvas.convertToBlob();
-    const reader = new FileReader();
-    reader.onloadend = () => {
-      self.postMessage({ stitchedPanorama: reader.result });
-    };
-    reader.readAsDataURL(blob);
+  const rgba = cv.matFromImageData(ctx.getImageData(0, 0, canvas.width, canvas.height));
+  const rgb = new cv.Mat();
+  cv.cvtColor(rgba, rgb, cv.COLOR_RGBA2RGB);
+  rgba.delete();
+  return rgb;
+};
+
+const MAX_OUTPUT_WIDTH = 16384;
+
+const degToRad = (degrees) => (degrees * Math.PI) / 180;
+
+// Place the stitched result on the sphere it covers. The Stitcher's spherical warper draws
+// about one focal length of pixels per radian, the focal length (in frame pixels) being
+// estimated here from the camera FOV. The stitch is scaled to the equirectangular
+// output's pixels per radian, centred in azimuth, and its top edge put at the highest
+// elevation the frames reach; the rest of the sphere stays black
+const matToEquirectangularBlob = async (cv, pano, { frameWidth, fov, images }) => {
+  const focal = frameWidth / 2 / Math.tan(degToRad(fov.hfov) / 2);
+  const height = Math.round(Math.min(2 * Math.PI * focal, MAX_OUTPUT_WIDTH) / 2);
+  const width = height * 2;
+  const scale = Math.min(width / (2 * Math.PI) / focal, width / pano.cols, height / pano.rows);
+  const drawWidth = Math.round(pano.cols * scale);
+  const drawHeight = Math.round(pano.rows * scale);
+  const topElevation = Math.min(90, Math.max(...images.map(image => image.elevation)) + fov.vfov / 2);
+  const top = Math.min(Math.max(Math.round(((90 - topElevation) / 180) * height), 0), height - drawHeight);
+
+  const rgba = new cv.Mat();
+  cv.cvtColor(pano, rgba, cv.COLOR_RGB2RGBA);
+  const bitmap = await createImageBitmap(new ImageData(new Uint8ClampedArray(rgba.data), rgba.cols, rgba.rows));
+  rgba.delete();
 
-    // Cleanup
-    cvImages.forEach(mat => mat.delete());
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, width, height);
+  ctx.drawImage(bitmap, Math.round((width - drawWidth) / 2), top, drawWidth, drawHeight);
+  bitmap.close();
+
+  return canvas.convertToBlob({ type: 'image/jpeg', quality: 0.92 });
+};
+
+const stitch = async ({ opencvUrl, fov, images }) => {
+  postProgress('loading', 0);
+  const cv = await loadOpenCV(opencvUrl);
+  if (!cv.Stitcher) {
+    throw new Error('This OpenCV.js build does not include the Stitcher.');
+  }
+
+  const mats = new cv.MatVector();
+  const pano = new cv.Mat();
+  let stitcher = null;
+  let frameWidth = 0;
+
+  try {
+    for (let i = 0; i < images.length; i++) {
+      const mat = await blobToMat(cv, images[i].blob);
+      frameWidth = mat.cols;
+      mats.push_back(mat);
+      mat.delete();
+      postProgress('decoding', ((i + 1) / images.length) * 40);
+    }
+
+    postProgress('stitching', 40);
+    stitcher = cv.Stitcher.create(cv.Stitcher_PANORAMA);
+    const status = stitcher.stitch(mats, pano);
+    if (status !== cv.Stitcher_OK) {
+      throw new Error(`Stitching failed with status: ${status}`);
+    }
+
+    postProgress('encoding', 90);
+    const blob = await matToEquirectangularBlob(cv, pano, { frameWidth, fov, images });
+    postProgress('done', 100);
+    return blob;
+  } finally {
+    mats.delete();
     pano.delete();
-    stitcher.delete();
-    cv.destroyAllWindows();
-    console.log('Stitching completed in worker.');
+    if (stitcher) stitcher.delete();
+  }
+};
+
+self.onmessage = async (e) => {
+  if (e.data.type !== 'stitch') return;
+  try {
+    const blob = await stitch(e.data);
+    self.postMessage({ type: 'done', blob });
   } catch (error) {
     console.error('Stitching Error:', error);
-    self.postMessage({ error: error.message });
+    self.postMessage({ type: 'error', message: error.message || String(error) });
   }
 };
@@ -0,0 +1,150 @@
+/**
+ * Downloadable bundle of a stored session for stitching offline: a ZIP with every frame
+ * named by its row and column (r00_c00.png; row 0 is the highest ring, columns run
+ * clockwise from azimuth 0, and further frames of the same slot get _2, _3, ...),
+ * manifest.json and, optionally, a Hugin or PTGui project seeded with the orientation
+ * of each frame.
+ */
+
+import { zip } from 'fflate';
+import { saveAs } from 'file-saver';
+import * as THREE from 'three';
+import { buildCaptureManifest, frameExtension } from './captureManifest';
+import { anglesFromQuaternion } from './orientation';
+import { buildProjectFile } from './panoramaProjects';
+import { getSession, getSessionCaptures, getSessionName } from './sessionStore';
+
+const STORAGE_KEY = 'panorama.bundleProject';
+
+// PNG frames are already compressed, so they are stored as they are
+const zipAsync = (files) => new Promise((resolve, reject) => {
+  zip(files, (err, data) => (err ? reject(err) : resolve(data)));
+});
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const normalizeAzimuth = (azimuth) => ((azimuth % 360) + 360) % 360;
+
+// Frame filenames from their grid positions; retakes of a slot are numbered rather than overwritten
+const getFrameFilenames = (captures, grid) => {
+  const counts = new Map();
+  return grid.map(({ row, column }, index) => {
+    const stem = `r${pad(row)}_c${pad(column)}`;
+    const count = (counts.get(stem) || 0) + 1;
+    counts.set(stem, count);
+    return `${count === 1 ? stem : `${stem}_${count}`}.${frameExtension(captures[index].blob)}`;
+  });
+};
+
+/**
+ * Safe filename stem for a session.
+ * @param {Object} session - Session record.
+ * @returns {string} Filename without extension.
+ */
+export const sessionFilename = (session) => getSessionName(session).replace(/[^\w-]+/g, '_');
+
+/**
+ * Row and column of every capture: rows are the elevation rings from the top down,
+ * columns the azimuths within a ring in increasing order.
+ * @param {Array<{azimuth: number, elevation: number}>} captures - Captures.
+ * @returns {Array<{row: number, column: number}>} Grid position per capture, in the same order.
+ */
+export const getCaptureGrid = (captures) => {
+  const elevations = [...new Set(captures.map(capture => capture.elevation))].sort((a, b) => b - a);
+  const rows = elevations.map(elevation => captures
+    .filter(capture => capture.elevation === elevation)
+    .map(capture => normalizeAzimuth(capture.azimuth))
+    .sort((a, b) => a - b));
+  return captures.map(capture => {
+    const row = elevations.indexOf(capture.elevation);
+    return { row, column: rows[row].indexOf(normalizeAzimuth(capture.azimuth)) };
+  });
+};
+
+// Panorama Tools orientation of a capture: the measured pose when recorded, the planned slot otherwise
+const getProjectOrientation = (capture) => {
+  const { azimuth, elevation } = capture.quaternion
+    ? anglesFromQuaternion(new THREE.Quaternion().fromArray(capture.quaternion))
+    : { azimuth: normalizeAzimuth(capture.azimuth + 180) - 180, elevation: capture.elevation };
+  return { yaw: azimuth, pitch: elevation, roll: capture.roll || 0 };
+};
+
+/**
+ * Project format last chosen for bundles ('none', 'hugin' or 'ptgui').
+ * @returns {string} Format id.
+ */
+export const loadBundleProjectFormat = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY) || 'none';
+  } catch (err) {
+    console.warn('Unable to read the bundle project format:', err);
+    return 'none';
+  }
+};
+
+/**
+ * Remembers the project format for the next export.
+ * @param {string} formatId - Format id.
+ */
+export const saveBundleProjectFormat = (formatId) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, formatId);
+  } catch (err) {
+    console.warn('Unable to save the bundle project format:', err);
+  }
+};
+
+/**
+ * Builds the bundle of a session.
+ * @param {string} sessionId - Session id.
+ * @param {Object} [options]
+ * @param {string} [options.project='none'] - Project file to include ('none', 'hugin' or 'ptgui').
+ * @returns {Promise<{session: Object, blob: Blob}>} The session record and the ZIP.
+ */
+export const createCaptureBundle = async (sessionId, { project = 'none' } = {}) => {
+  const session = await getSession(sessionId);
+  if (!session) throw new Error('The session no longer exists.');
+  const captures = await getSessionCaptures(sessionId);
+  if (captures.length === 0) throw new Error('The session has no captures.');
+
+  const grid = getCaptureGrid(captures);
+  const filenames = getFrameFilenames(captures, grid);
+
+  const manifest = await buildCaptureManifest(captures, { plan: session.plan, fov: session.fov });
+  manifest.images = manifest.images.map((image, index) => ({
+    ...image,
+    filename: filenames[index],
+    row: grid[index].row,
+    column: grid[index].column,
+  }));
+
+  const encoder = new TextEncoder();
+  const files = { 'manifest.json': encoder.encode(JSON.stringify(manifest, null, 2)) };
+  for (let i = 0; i < captures.length; i++) {
+    files[filenames[i]] = [new Uint8Array(await captures[i].blob.arrayBuffer()), { level: 0 }];
+  }
+
+  const projectFile = buildProjectFile(project, manifest.images.map((image, index) => ({
+    filename: image.filename,
+    width: image.width,
+    height: image.height,
+    ...getProjectOrientation(captures[index]),
+  })), session.fov.hfov);
+  if (projectFile) {
+    files[projectFile.filename] = encoder.encode(projectFile.contents);
+  }
+
+  const data = await zipAsync(files);
+  return { session, blob: new Blob([data], { type: 'application/zip' }) };
+};
+
+/**
+ * Downloads the bundle of a session as <session name>.zip.
+ * @param {string} sessionId - Session id.
+ * @param {Object} [options] - See createCaptureBundle.
+ * @returns {Promise<void>}
+ */
+export const exportCaptureBundle = async (sessionId, options) => {
+  const { session, blob } = await createCaptureBundle(sessionId, options);
+  saveAs(blob, `${sessionFilename(session)}.zip`);
+};
@@ -0,0 +1,154 @@
+/**
+ * Import of capture bundles (see captureBundle.js): a ZIP, or the files of an unpacked
+ * folder, holding manifest.json and the frames it lists. The frames become a new library
+ * session whose planned slots without a frame are left in the queue to be retaken.
+ */
+
+import { unzip } from 'fflate';
+import { buildCaptureQueue, validateCapturePlan } from './capturePlans';
+import { createId, saveSessionWithCaptures } from './sessionStore';
+import { createThumbnail } from './thumbnail';
+
+const MANIFEST_FILENAME = 'manifest.json';
+
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+};
+
+const unzipAsync = (data) => new Promise((resolve, reject) => {
+  unzip(data, (err, files) => (err ? reject(err) : resolve(files)));
+});
+
+const basename = (path) => path.split('/').pop();
+
+const imageType = (filename) => IMAGE_TYPES[filename.split('.').pop().toLowerCase()] || 'application/octet-stream';
+
+const stripExtension = (filename) => filename.replace(/\.[^.]+$/, '');
+
+// Same slot on the sphere, whatever range the azimuths were written in
+const isSameSlot = (a, b) =>
+  a.elevation === b.elevation && ((a.azimuth - b.azimuth) % 360 + 360) % 360 === 0;
+
+// Map of bundle files by name (folders are flattened) and a name for the imported session
+const readBundleFiles = async (files) => {
+  if (files.length === 1 && /\.zip$/i.test(files[0].name)) {
+    const entries = await unzipAsync(new Uint8Array(await files[0].arrayBuffer()));
+    const blobs = new Map();
+    Object.entries(entries).forEach(([path, data]) => {
+      if (path.endsWith('/') || path.startsWith('__MACOSX/')) return;
+      blobs.set(basename(path), new Blob([data], { type: imageType(path) }));
+    });
+    return { name: stripExtension(files[0].name), blobs };
+  }
+
+  const blobs = new Map(files.map(file => [file.name, file]));
+  const folder = files[0].webkitRelativePath ? files[0].webkitRelativePath.split('/')[0] : null;
+  return { name: folder || 'Imported captures', blobs };
+};
+
+/**
+ * Reads a capture bundle.
+ * @param {File[]|FileList} fileList - A single .zip, or the files of a bundle folder.
+ * @returns {Promise<{name: string, manifest: Object, frames: Object[], missing: string[]}>}
+ *   The bundle name, its manifest, the frames found (manifest entry plus blob) and the
+ *   filenames listed in the manifest but absent from the bundle.
+ */
+export const readCaptureBundle = async (fileList) => {
+  const files = Array.from(fileList);
+  if (files.length === 0) throw new Error('No files were selected.');
+
+  const { name, blobs } = await readBundleFiles(files);
+  const manifestBlob = blobs.get(MANIFEST_FILENAME);
+  if (!manifestBlob) throw new Error(`The bundle has no ${MANIFEST_FILENAME}.`);
+
+  let manifest;
+  try {
+    manifest = JSON.parse(await manifestBlob.text());
+  } catch (err) {
+    throw new Error(`${MANIFEST_FILENAME} is not valid JSON (${err.message}).`);
+  }
+  if (!manifest || !Array.isArray(manifest.images)) {
+    throw new Error(`${MANIFEST_FILENAME} does not list any images.`);
+  }
+  const planProblem = validateCapturePlan(manifest.plan);
+  if (planProblem) throw new Error(`The bundle's capture plan is invalid: ${planProblem}`);
+  if (!manifest.fov || !Number.isFinite(manifest.fov.hfov) || !Number.isFinite(manifest.fov.vfov)) {
+    throw new Error('The bundle does not record the camera field of view.');
+  }
+
+  const frames = [];
+  const missing = [];
+  manifest.images.forEach(image => {
+    const blob = blobs.get(image.filename);
+    if (blob && Number.isFinite(image.azimuth) && Number.isFinite(image.elevation)) {
+      frames.push({ ...image, blob });
+    } else {
+      missing.push(image.filename);
+    }
+  });
+  if (frames.length === 0) throw new Error('None of the images in the manifest were found.');
+
+  return { name, manifest, frames, missing };
+};
+
+/**
+ * Imports a capture bundle as a new library session.
+ * @param {File[]|FileList} fileList - A single .zip, or the files of a bundle folder.
+ * @returns {Promise<{session: Object, missing: string[]}>} The stored session and the
+ *   filenames that could not be imported.
+ */
+export const importCaptureBundle = async (fileList) => {
+  const { name, manifest, frames, missing } = await readCaptureBundle(fileList);
+  const { plan, fov } = manifest;
+
+  // Frames are stored in capture order. Frames without a timestamp get one from their
+  // place in the manifest, so they keep that order. Slots of the plan without a frame
+  // stay to be retaken
+  const now = Date.now();
+  const sortedFrames = frames
+    .map((frame, index) => ({ ...frame, timestamp: frame.timestamp || (manifest.createdAt || now) + index }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+  const queue = buildCaptureQueue(plan).filter(slot => !sortedFrames.some(frame => isSameSlot(frame, slot)));
+
+  const session = {
+    id: createId(),
+    name,
+    createdAt: manifest.createdAt || now,
+    updatedAt: now,
+    plan,
+    fov,
+    queue,
+    skipped: [],
+    captureCount: sortedFrames.length,
+    status: queue.length === 0 ? 'captured' : 'capturing',
+    importedAt: now,
+  };
+  try {
+    session.thumbnail = await createThumbnail(sortedFrames[0].blob);
+  } catch (err) {
+    console.warn('Unable to create thumbnail:', err);
+  }
+
+  const captures = sortedFrames.map(frame => {
+    const { blob, width, height, azimuth, elevation, quaternion, roll, alignmentError, timestamp } = frame;
+    return {
+      id: createId(),
+      sessionId: session.id,
+      blob,
+      width,
+      height,
+      azimuth,
+      elevation,
+      quaternion,
+      roll,
+      alignmentError,
+      timestamp,
+    };
+  });
+  // One transaction, so a failed import leaves no half-filled session in the library
+  await saveSessionWithCaptures(session, captures);
+  return { session, missing };
+};
@@ -0,0 +1,59 @@
+/**
+ * Where a session was captured: the GPS position and the compass heading of azimuth 0,
+ * read once at the first capture and stored on the session for exported metadata.
+ *
+ * Headings are approximate: they come from the magnetometer through
+ * 'deviceorientationabsolute' (alpha measured from north) or iOS's webkitCompassHeading,
+ * and assume the device is held upright as it is while capturing.
+ */
+
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * Current GPS position. Prompts for permission the first time.
+ * @param {number} [timeout=DEFAULT_TIMEOUT] - Give up after this many milliseconds.
+ * @returns {Promise<{latitude: number, longitude: number, altitude: number|null, accuracy: number}|null>}
+ *   The position, or null when it is unavailable or refused.
+ */
+export const readLocation = (timeout = DEFAULT_TIMEOUT) => new Promise((resolve) => {
+  if (!navigator.geolocation) {
+    resolve(null);
+    return;
+  }
+  navigator.geolocation.getCurrentPosition(
+    ({ coords }) => resolve({
+      latitude: coords.latitude,
+      longitude: coords.longitude,
+      altitude: coords.altitude,
+      accuracy: coords.accuracy,
+    }),
+    (err) => {
+      console.warn('Location unavailable:', err.message);
+      resolve(null);
+    },
+    { enableHighAccuracy: true, timeout, maximumAge: 60000 }
+  );
+});
+
+/**
+ * Compass heading the device camera points at.
+ * @param {number} [timeout=1000] - Give up after this many milliseconds.
+ * @returns {Promise<number|null>} Degrees clockwise from north, or null without a compass.
+ */
+export const readCompassHeading = (timeout = 1000) => new Promise((resolve) => {
+  const finish = (heading) => {
+    clearTimeout(timer);
+    window.removeEventListener('deviceorientationabsolute', onAbsolute);
+    window.removeEventListener('deviceorientation', onOrientation);
+    resolve(heading);
+  };
+  const onAbsolute = (event) => {
+    if (event.alpha !== null) finish((360 - event.alpha) % 360);
+  };
+  const onOrientation = (event) => {
+    if (typeof event.webkitCompassHeading === 'number') finish(event.webkitCompassHeading);
+  };
+  const timer = setTimeout(() => finish(null), timeout);
+  window.addEventListener('deviceorientationabsolute', onAbsolute);
+  window.addEventListener('deviceorientation', onOrientation);
+});
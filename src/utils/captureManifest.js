@@ -0,0 +1,112 @@
+/**
+ * Capture manifest: everything a stitcher needs to know about a capture set without
+ * parsing filenames. Sent with every upload and stored in exported bundles.
+ *
+ * {
+ *   version, createdAt,
+ *   app: { name, version },
+ *   device: { userAgent, model?, platform?, platformVersion?, mobile? },
+ *   plan, fov: { hfov, vfov },
+ *   images: [{ filename, width, height, azimuth, elevation, quaternion, roll, alignmentError, timestamp }]
+ * }
+ *
+ * Angles are in degrees (azimuth 0 looks down -z and grows towards +x), quaternions are
+ * the camera orientation as [x, y, z, w] and timestamps are epoch milliseconds.
+ */
+
+import { name as appName, version as appVersion } from '../../package.json';
+
+export const MANIFEST_VERSION = 1;
+
+// File extensions of the image types frames are captured or imported in
+const FRAME_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+};
+
+/**
+ * File extension matching a frame's image type.
+ * @param {Blob} blob - Frame image.
+ * @returns {string} Extension without the dot; png when the type is unknown.
+ */
+export const frameExtension = (blob) => FRAME_EXTENSIONS[blob.type] || 'png';
+
+/**
+ * Filename of a frame in uploads: its position in the capture set, so retakes and extra
+ * shots of the same slot stay apart, then its slot and an extension matching the image.
+ * @param {{blob: Blob, azimuth: number, elevation: number}} frame - Captured frame.
+ * @param {number} index - Position of the frame in the capture set.
+ * @returns {string} Filename, e.g. 007_e30_a45.jpg.
+ */
+export const frameFilename = ({ blob, azimuth, elevation }, index) =>
+  `${String(index + 1).padStart(3, '0')}_e${elevation}_a${azimuth}.${frameExtension(blob)}`;
+
+// Pixel size of a frame, decoding the image when it was not recorded at capture time
+const getFrameSize = async (frame) => {
+  if (frame.width && frame.height) {
+    return { width: frame.width, height: frame.height };
+  }
+  const bitmap = await createImageBitmap(frame.blob);
+  const size = { width: bitmap.width, height: bitmap.height };
+  bitmap.close();
+  return size;
+};
+
+/**
+ * Describes the capturing device; the model is only known where User-Agent Client Hints exist.
+ * @returns {Promise<Object>} Device description.
+ */
+export const getDeviceInfo = async () => {
+  const device = { userAgent: navigator.userAgent };
+  const { userAgentData } = navigator;
+  if (userAgentData && userAgentData.getHighEntropyValues) {
+    try {
+      const hints = await userAgentData.getHighEntropyValues(['model', 'platformVersion']);
+      Object.assign(device, {
+        model: hints.model || undefined,
+        platform: hints.platform || userAgentData.platform,
+        platformVersion: hints.platformVersion || undefined,
+        mobile: userAgentData.mobile,
+      });
+    } catch (err) {
+      console.warn('Unable to read device details:', err);
+    }
+  }
+  return device;
+};
+
+/**
+ * Builds the manifest of a capture set.
+ * @param {Array<Object>} frames - Frames with blob, azimuth, elevation, quaternion, roll, alignmentError,
+ *   timestamp and, when known, width and height.
+ * @param {Object} options
+ * @param {Object} options.plan - Capture plan.
+ * @param {{hfov: number, vfov: number}} options.fov - Camera field of view in degrees.
+ * @returns {Promise<Object>} The manifest.
+ */
+export const buildCaptureManifest = async (frames, { plan, fov }) => {
+  const images = await Promise.all(frames.map(async (frame, index) => {
+    const { azimuth, elevation, quaternion, roll, alignmentError, timestamp } = frame;
+    return {
+      filename: frameFilename(frame, index),
+      ...(await getFrameSize(frame)),
+      azimuth,
+      elevation,
+      quaternion,
+      roll,
+      alignmentError,
+      timestamp,
+    };
+  }));
+
+  return {
+    version: MANIFEST_VERSION,
+    createdAt: Date.now(),
+    app: { name: appName, version: appVersion },
+    device: await getDeviceInfo(),
+    plan,
+    fov,
+    images,
+  };
+};
@@ -0,0 +1,212 @@
+/**
+ * Capture plan definitions and helpers.
+ *
+ * A capture plan is an ordered list of rows. Each row is a fixed elevation
+ * (degrees, -90..90) and the azimuth step (degrees) between shots on that row.
+ * The capture queue, the number of captures and the reset behaviour of the
+ * viewer are all derived from a single plan object:
+ *
+ *   { id: 'standard', name: 'Standard', rows: [{ elevation: 0, azimuthStep: 40 }, ...] }
+ */
+
+const STORAGE_KEY = 'panorama.capturePlan';
+
+// Default azimuth step used when a row does not define one
+const DEFAULT_AZIMUTH_STEP = 60;
+
+// Field of view assumed when the lens has not been measured (degrees)
+export const DEFAULT_CAMERA_FOV = { hfov: 40, vfov: 60 };
+
+// Overlap between neighbouring frames used by the automatic plan (fraction)
+export const DEFAULT_TARGET_OVERLAP = 0.3;
+
+export const AUTO_CAPTURE_PLAN_ID = 'auto';
+
+const degToRad = (degrees) => degrees * (Math.PI / 180);
+
+export const CAPTURE_PLAN_PRESETS = [
+  {
+    id: 'quick',
+    name: 'Quick (3 rows)',
+    rows: [
+      { elevation: 0, azimuthStep: 60 },
+      { elevation: 45, azimuthStep: 90 },
+      { elevation: -45, azimuthStep: 90 },
+    ],
+  },
+  {
+    // Equator first, then upward, then downward
+    id: 'standard',
+    name: 'Standard',
+    rows: [
+      { elevation: 0, azimuthStep: 40 },
+      { elevation: 30, azimuthStep: 45 },
+      { elevation: 60, azimuthStep: 60 },
+      { elevation: 90, azimuthStep: 360 },
+      { elevation: -30, azimuthStep: 45 },
+      { elevation: -60, azimuthStep: 60 },
+      { elevation: -90, azimuthStep: 360 },
+    ],
+  },
+  {
+    id: 'high-overlap',
+    name: 'High overlap',
+    rows: [
+      { elevation: 0, azimuthStep: 30 },
+      { elevation: 25, azimuthStep: 36 },
+      { elevation: 50, azimuthStep: 45 },
+      { elevation: 75, azimuthStep: 90 },
+      { elevation: 90, azimuthStep: 360 },
+      { elevation: -25, azimuthStep: 36 },
+      { elevation: -50, azimuthStep: 45 },
+      { elevation: -75, azimuthStep: 90 },
+      { elevation: -90, azimuthStep: 360 },
+    ],
+  },
+  {
+    id: 'cylindrical',
+    name: 'Cylindrical (horizon strip)',
+    rows: [
+      { elevation: 0, azimuthStep: 30 },
+    ],
+  },
+];
+
+export const DEFAULT_CAPTURE_PLAN_ID = 'standard';
+
+/**
+ * Looks up a preset by id.
+ * @param {string} id - Preset id.
+ * @returns {Object|undefined} The preset plan, if any.
+ */
+export const getCapturePlanPreset = (id) => CAPTURE_PLAN_PRESETS.find(plan => plan.id === id);
+
+/**
+ * Number of shots needed to cover a full turn on one row.
+ * @param {Object} row - Plan row ({ elevation, azimuthStep }).
+ * @returns {number} Captures on that row.
+ */
+export const capturesForRow = (row) => {
+  const step = row.azimuthStep || DEFAULT_AZIMUTH_STEP;
+  return Math.ceil(360 / step);
+};
+
+/**
+ * Builds the ordered capture queue for a plan.
+ * @param {Object} plan - Capture plan.
+ * @returns {Array<{azimuth: number, elevation: number}>} Queue slots in capture order.
+ */
+export const buildCaptureQueue = (plan) => {
+  const queue = [];
+  plan.rows.forEach(row => {
+    const step = row.azimuthStep || DEFAULT_AZIMUTH_STEP;
+    const captures = capturesForRow(row);
+    for (let i = 0; i < captures; i++) {
+      queue.push({ azimuth: i * step, elevation: row.elevation });
+    }
+  });
+  return queue;
+};
+
+/**
+ * Generates a plan from the camera field of view and a target overlap.
+ *
+ * Rows are spaced at most vfov * (1 - overlap) apart from the equator towards
+ * both poles, with the last row reaching into the single zenith/nadir shot. On each
+ * row the azimuth step is sized from the frame's angular width at its edge
+ * closest to the equator, which is where neighbouring frames overlap least.
+ *
+ * @param {{hfov: number, vfov: number}} fov - Camera field of view in degrees.
+ * @param {number} [overlap=DEFAULT_TARGET_OVERLAP] - Target overlap between neighbours (0..0.9).
+ * @returns {Object} Capture plan carrying the fov and overlap it was generated from.
+ */
+export const generateOverlapPlan = (fov, overlap = DEFAULT_TARGET_OVERLAP) => {
+  const { hfov, vfov } = fov;
+  const clampedOverlap = Math.min(Math.max(overlap, 0), 0.9);
+  const rowStep = vfov * (1 - clampedOverlap);
+
+  // The pole shot covers a cap of this radius around the zenith/nadir
+  const capRadius = Math.min(hfov, vfov) / 2;
+  const capLimit = 90 - capRadius * (1 - clampedOverlap);
+
+  const rowForElevation = (elevation) => {
+    const nearestEdge = Math.max(0, Math.abs(elevation) - vfov / 2);
+    const frameWidth = Math.min(360, hfov / Math.cos(degToRad(nearestEdge)));
+    const shots = Math.ceil(360 / (frameWidth * (1 - clampedOverlap)));
+    // Round the step up so Math.ceil(360 / step) still yields `shots`
+    return { elevation, azimuthStep: Math.ceil((360 / shots) * 100) / 100 };
+  };
+
+  // Evenly spaced rows whose last one reaches into the pole shot with the target overlap
+  const lastRowElevation = capLimit - vfov / 2;
+  const rowCount = lastRowElevation > 0 ? Math.ceil(lastRowElevation / rowStep) : 0;
+  const upperElevations = [];
+  for (let k = 1; k <= rowCount; k++) {
+    upperElevations.push(Math.round((k * lastRowElevation / rowCount) * 10) / 10);
+  }
+
+  // Same ordering as the presets: equator, upward to the zenith, then downward to the nadir
+  const rows = [
+    rowForElevation(0),
+    ...upperElevations.map(rowForElevation),
+    { elevation: 90, azimuthStep: 360 },
+    ...upperElevations.map(elevation => rowForElevation(-elevation)),
+    { elevation: -90, azimuthStep: 360 },
+  ];
+
+  return {
+    id: AUTO_CAPTURE_PLAN_ID,
+    name: `Auto (${Math.round(clampedOverlap * 100)}% overlap)`,
+    fov: { hfov, vfov },
+    overlap: clampedOverlap,
+    rows,
+  };
+};
+
+/**
+ * Checks that a plan can be used to drive a capture session.
+ * @param {Object} plan - Capture plan.
+ * @returns {string|null} A human readable problem, or null if the plan is valid.
+ */
+export const validateCapturePlan = (plan) => {
+  if (!plan || !Array.isArray(plan.rows) || plan.rows.length === 0) {
+    return 'A capture plan needs at least one row.';
+  }
+  for (const row of plan.rows) {
+    if (!Number.isFinite(row.elevation) || row.elevation < -90 || row.elevation > 90) {
+      return 'Row elevations must be between -90° and 90°.';
+    }
+    if (!Number.isFinite(row.azimuthStep) || row.azimuthStep <= 0 || row.azimuthStep > 360) {
+      return 'Azimuth steps must be between 1° and 360°.';
+    }
+  }
+  return null;
+};
+
+/**
+ * Loads the last used plan from localStorage, falling back to the default preset.
+ * @returns {Object} Capture plan.
+ */
+export const loadCapturePlan = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved && !validateCapturePlan(saved)) {
+      return saved;
+    }
+  } catch (err) {
+    console.warn('Ignoring unreadable saved capture plan:', err);
+  }
+  return getCapturePlanPreset(DEFAULT_CAPTURE_PLAN_ID);
+};
+
+/**
+ * Saves the plan so the next session starts with it.
+ * @param {Object} plan - Capture plan.
+ */
+export const saveCapturePlan = (plan) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(plan));
+  } catch (err) {
+    console.warn('Unable to save capture plan:', err);
+  }
+};
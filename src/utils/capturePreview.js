@@ -0,0 +1,120 @@
+/**
+ * Stitch-free preview of a capture: the captured planes rendered all around from the
+ * sphere centre with a CubeCamera, then unwrapped on the GPU into an equirectangular
+ * image the 360 viewer can show. Planes overlap as they do in the capture scene, so
+ * seams and parallax are visible; stitching blends them properly.
+ */
+
+import * as THREE from 'three';
+
+export const PREVIEW_WIDTH = 4096;
+
+// Unwraps the cube around the camera using the app's directions: azimuth 0 (the image
+// centre) looks down -z and grows towards +x; elevation grows towards +y
+// Captured textures hold untagged sRGB values and render targets skip the output
+// conversion, so the camera's pixels come through unchanged
+const equirectVertexShader = `
+  varying vec2 vUv;
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+  }
+`;
+
+const equirectFragmentShader = `
+  #include <common>
+  uniform samplerCube cubeMap;
+  varying vec2 vUv;
+  void main() {
+    float lon = (vUv.x * 2.0 - 1.0) * PI;
+    float lat = (vUv.y - 0.5) * PI;
+    vec3 direction = vec3(cos(lat) * sin(lon), sin(lat), -cos(lat) * cos(lon));
+    gl_FragColor = textureCube(cubeMap, direction);
+  }
+`;
+
+// The planes without their guide pointers, sharing geometry and material with the originals
+const createPreviewScene = (planes) => {
+  const scene = new THREE.Scene();
+  scene.background = new THREE.Color(0x000000);
+  planes.forEach(plane => {
+    plane.updateWorldMatrix(true, false);
+    const copy = new THREE.Mesh(plane.geometry, plane.material);
+    plane.matrixWorld.decompose(copy.position, copy.quaternion, copy.scale);
+    scene.add(copy);
+  });
+  return scene;
+};
+
+/**
+ * Renders the captured planes into an equirectangular JPEG.
+ * @param {THREE.WebGLRenderer} renderer - The capture scene's renderer.
+ * @param {Array<THREE.Mesh>} planes - Captured planes, placed around the origin.
+ * @param {number} [width=PREVIEW_WIDTH] - Output width; the height is half of it.
+ * @returns {Promise<Blob>} The preview image.
+ */
+export const renderCapturePreview = (renderer, planes, width = PREVIEW_WIDTH) => {
+  const outputWidth = Math.min(width, renderer.capabilities.maxTextureSize);
+  const outputHeight = outputWidth / 2;
+  // A quarter of the width keeps the equator at about one cube pixel per output pixel
+  const faceSize = Math.min(outputWidth / 4, renderer.capabilities.maxCubemapSize);
+
+  const scene = createPreviewScene(planes);
+  const cubeTarget = new THREE.WebGLCubeRenderTarget(faceSize);
+  const cubeCamera = new THREE.CubeCamera(0.1, 1000, cubeTarget);
+
+  const quadGeometry = new THREE.PlaneGeometry(2, 2);
+  const quadMaterial = new THREE.ShaderMaterial({
+    uniforms: { cubeMap: { value: cubeTarget.texture } },
+    vertexShader: equirectVertexShader,
+    fragmentShader: equirectFragmentShader,
+    depthTest: false,
+    depthWrite: false,
+  });
+  const quad = new THREE.Mesh(quadGeometry, quadMaterial);
+  quad.frustumCulled = false; // Positioned in clip space by the shader
+  const quadScene = new THREE.Scene();
+  quadScene.add(quad);
+  const quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+  const outputTarget = new THREE.WebGLRenderTarget(outputWidth, outputHeight);
+  // Pixels are read straight into the image's buffer, so the frame is held only once
+  const image = new ImageData(outputWidth, outputHeight);
+  const pixels = new Uint8Array(image.data.buffer);
+
+  const previousTarget = renderer.getRenderTarget();
+  try {
+    cubeCamera.update(renderer, scene);
+    renderer.setRenderTarget(outputTarget);
+    renderer.render(quadScene, quadCamera);
+    renderer.readRenderTargetPixels(outputTarget, 0, 0, outputWidth, outputHeight, pixels);
+  } finally {
+    renderer.setRenderTarget(previousTarget);
+    cubeTarget.dispose();
+    outputTarget.dispose();
+    quadGeometry.dispose();
+    quadMaterial.dispose();
+  }
+
+  // WebGL reads rows bottom-up: flip them in place
+  const rowLength = outputWidth * 4;
+  const swap = new Uint8Array(rowLength);
+  for (let top = 0, bottom = outputHeight - 1; top < bottom; top++, bottom--) {
+    const upper = pixels.subarray(top * rowLength, (top + 1) * rowLength);
+    const lower = pixels.subarray(bottom * rowLength, (bottom + 1) * rowLength);
+    swap.set(upper);
+    upper.set(lower);
+    lower.set(swap);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = outputWidth;
+  canvas.height = outputHeight;
+  canvas.getContext('2d').putImageData(image, 0, 0);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      blob => (blob ? resolve(blob) : reject(new Error('Unable to encode the preview.'))),
+      'image/jpeg',
+      0.9
+    );
+  });
+};
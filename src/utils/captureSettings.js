@@ -0,0 +1,44 @@
+/**
+ * User-tunable capture settings, persisted in localStorage.
+ */
+
+const STORAGE_KEY = 'panorama.captureSettings';
+
+export const DEFAULT_CAPTURE_SETTINGS = {
+  rollTolerance: 5, // Max device roll (degrees) allowed for auto-capture
+  holdTime: 800, // How long (ms) the device must stay steady on the target before auto-capture
+  maxAngularSpeed: 15, // Max rotation speed (degrees/second) still counted as steady
+  qualityCheck: true, // Reject blurry or badly exposed frames
+  minSharpness: 30, // Min variance of the Laplacian
+  minLuminance: 40, // Min mean luma (0-255)
+  maxLuminance: 215, // Max mean luma (0-255)
+  maxClippedRatio: 0.25, // Max fraction of crushed or blown-out pixels
+  recordLocation: false, // Ask for the GPS position at the first capture (written to exported JPEGs)
+  coverageOverlay: true, // Tint the parts of the sphere the captures miss or barely overlap
+};
+
+/**
+ * Loads saved settings merged over the defaults.
+ * @returns {Object} Capture settings.
+ */
+export const loadCaptureSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return { ...DEFAULT_CAPTURE_SETTINGS, ...(saved || {}) };
+  } catch (err) {
+    console.warn('Ignoring unreadable capture settings:', err);
+    return { ...DEFAULT_CAPTURE_SETTINGS };
+  }
+};
+
+/**
+ * Saves settings for the next session.
+ * @param {Object} settings - Capture settings.
+ */
+export const saveCaptureSettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.warn('Unable to save capture settings:', err);
+  }
+};
@@ -0,0 +1,224 @@
+/**
+ * Resumable, chunked upload of a capture set (a simple offset protocol in the spirit of tus).
+ *
+ * - POST  {endpoint}/uploads                       { files: [{ filename, size, type }] } -> { uploadId }
+ * - GET   {endpoint}/uploads/{id}                  404 once the upload set has expired
+ * - GET   {endpoint}/uploads/{id}/files/{name}     -> { offset } bytes received so far (404 = 0)
+ * - PATCH {endpoint}/uploads/{id}/files/{name}     chunk body, Upload-Offset header -> { offset }
+ * - POST  {endpoint}/uploads/{id}/commit           { plan, manifest } -> { jobId } (see stitchJobs.js)
+ *
+ * Failed requests are retried with exponential backoff, resuming from the offset the
+ * server reports. Upload ids are remembered per session, so a later attempt only sends
+ * what is still missing.
+ */
+
+import axios from 'axios';
+import { wait } from './stitchJobs';
+
+const STORAGE_KEY = 'panorama.uploads';
+
+export const DEFAULT_CHUNK_SIZE = 512 * 1024;
+export const MAX_UPLOAD_RETRIES = 6;
+const BASE_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 30000;
+
+/**
+ * Backoff before the given retry, with jitter so clients do not retry in lockstep.
+ * @param {number} attempt - Zero-based retry number.
+ * @returns {number} Delay in milliseconds.
+ */
+export const backoffDelay = (attempt) =>
+  Math.min(MAX_RETRY_DELAY, BASE_RETRY_DELAY * 2 ** attempt) * (0.5 + Math.random() / 2);
+
+// Network errors, timeouts, 5xx and 429 are worth retrying; other 4xx are not
+const isRetryable = (err) => {
+  if (axios.isCancel(err) || err.name === 'AbortError') return false;
+  if (!err.response) return true;
+  return err.response.status >= 500 || err.response.status === 429;
+};
+
+// Run a request, retrying with backoff while the failure is transient
+const withRetry = async (task, { signal, onRetry }) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (err) {
+      if (!isRetryable(err) || attempt >= MAX_UPLOAD_RETRIES) throw err;
+      const delay = backoffDelay(attempt);
+      if (onRetry) onRetry(attempt + 1, delay);
+      await wait(delay, signal);
+    }
+  }
+};
+
+const uploadsUrl = (config) => `${config.endpoint.replace(/\/+$/, '')}/uploads`;
+
+const requestOptions = (config, signal) => ({
+  headers: config.headers,
+  timeout: config.timeout,
+  signal,
+});
+
+const loadUploadIds = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (err) {
+    console.warn('Ignoring unreadable upload ids:', err);
+    return {};
+  }
+};
+
+const saveUploadId = (resumeKey, uploadId) => {
+  const uploadIds = loadUploadIds();
+  if (uploadId) {
+    uploadIds[resumeKey] = uploadId;
+  } else {
+    delete uploadIds[resumeKey];
+  }
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(uploadIds));
+  } catch (err) {
+    console.warn('Unable to save upload id:', err);
+  }
+};
+
+// Reuse the remembered upload set of this capture set if the server still has it
+const openUploadSet = async (files, { config, resumeKey, signal, onRetry }) => {
+  const rememberedId = resumeKey && loadUploadIds()[resumeKey];
+  if (rememberedId) {
+    try {
+      await withRetry(
+        () => axios.get(`${uploadsUrl(config)}/${encodeURIComponent(rememberedId)}`, requestOptions(config, signal)),
+        { signal, onRetry }
+      );
+      return rememberedId;
+    } catch (err) {
+      if (!err.response || err.response.status !== 404) throw err;
+    }
+  }
+
+  const response = await withRetry(() => axios.post(uploadsUrl(config), {
+    files: files.map(({ filename, blob }) => ({ filename, size: blob.size, type: blob.type })),
+  }, requestOptions(config, signal)), { signal, onRetry });
+  const uploadId = response.data && response.data.uploadId;
+  if (!uploadId) {
+    throw new Error('The stitching service did not return an upload id.');
+  }
+  if (resumeKey) saveUploadId(resumeKey, uploadId);
+  return uploadId;
+};
+
+// Bytes of a file the server already has
+const getFileOffset = async (fileUrl, config, signal) => {
+  try {
+    const response = await axios.get(fileUrl, requestOptions(config, signal));
+    return Number(response.data && response.data.offset) || 0;
+  } catch (err) {
+    if (err.response && err.response.status === 404) return 0;
+    throw err;
+  }
+};
+
+// Send one file chunk by chunk, resuming from the server offset after a failure
+const uploadFile = async (uploadUrl, file, { config, chunkSize, signal, onProgress, onRetry }) => {
+  const size = file.blob.size;
+  const fileUrl = `${uploadUrl}/files/${encodeURIComponent(file.filename)}`;
+
+  let offset = await withRetry(() => getFileOffset(fileUrl, config, signal), { signal, onRetry });
+  onProgress(offset);
+
+  while (offset < size) {
+    const chunkStart = offset;
+    offset = await withRetry(async (attempt) => {
+      const start = attempt > 0 ? await getFileOffset(fileUrl, config, signal) : chunkStart;
+      if (start >= size) return start;
+      const chunk = file.blob.slice(start, start + chunkSize);
+      const response = await axios.patch(fileUrl, chunk, {
+        ...requestOptions(config, signal),
+        headers: {
+          ...config.headers,
+          'Content-Type': 'application/offset+octet-stream',
+          'Upload-Offset': String(start),
+        },
+        onUploadProgress: (progressEvent) => onProgress(start + progressEvent.loaded),
+      });
+      const serverOffset = Number(response.data && response.data.offset);
+      return Number.isFinite(serverOffset) ? serverOffset : start + chunk.size;
+    }, { signal, onRetry });
+    onProgress(offset);
+  }
+};
+
+/**
+ * Uploads a capture set file by file and commits it as a stitch job.
+ * @param {Array<{filename: string, blob: Blob}>} files - Files to upload.
+ * @param {Object} options
+ * @param {Object} options.config - Stitch configuration (endpoint, headers, timeout, chunkSize).
+ * @param {Object} options.plan - Capture plan.
+ * @param {Object} options.manifest - Capture manifest committed with the files (see captureManifest.js).
+ * @param {string} [options.resumeKey] - Identifies the capture set (e.g. the session id) across attempts.
+ * @param {function(Object): void} [options.onProgress] - Receives { stage, percent, files: [{ filename, size, loaded, status, retries }] }.
+ * @param {AbortSignal} [options.signal] - Aborts the upload; uploaded chunks are kept for the next attempt.
+ * @returns {Promise<string>} Id of the created stitch job.
+ */
+export const uploadCaptureSet = async (files, { config, plan, manifest, resumeKey, onProgress, signal }) => {
+  const chunkSize = config.chunkSize || DEFAULT_CHUNK_SIZE;
+  const fileStates = files.map(({ filename, blob }) => ({
+    filename,
+    size: blob.size,
+    loaded: 0,
+    status: 'pending',
+    retries: 0,
+  }));
+  const totalSize = fileStates.reduce((total, file) => total + file.size, 0) || 1;
+
+  const report = (stage = 'uploading') => {
+    if (!onProgress) return;
+    const loaded = fileStates.reduce((total, file) => total + file.loaded, 0);
+    onProgress({
+      stage,
+      percent: Math.round((loaded * 100) / totalSize),
+      files: fileStates.map(file => ({ ...file })),
+    });
+  };
+
+  report();
+  const uploadId = await openUploadSet(files, { config, resumeKey, signal });
+  const uploadUrl = `${uploadsUrl(config)}/${encodeURIComponent(uploadId)}`;
+
+  for (let i = 0; i < files.length; i++) {
+    const state = fileStates[i];
+    state.status = 'uploading';
+    report();
+    await uploadFile(uploadUrl, files[i], {
+      config,
+      chunkSize,
+      signal,
+      onProgress: (loaded) => {
+        state.loaded = Math.min(loaded, state.size);
+        state.status = 'uploading';
+        report();
+      },
+      onRetry: (retry) => {
+        state.retries = retry;
+        state.status = 'retrying';
+        report();
+      },
+    });
+    state.loaded = state.size;
+    state.status = 'done';
+    report();
+  }
+
+  report('committing');
+  const response = await withRetry(
+    () => axios.post(`${uploadUrl}/commit`, { plan, manifest }, requestOptions(config, signal)),
+    { signal }
+  );
+  const jobId = response.data && (response.data.jobId || response.data.id);
+  if (!jobId) {
+    throw new Error('The stitching service did not return a job id.');
+  }
+  if (resumeKey) saveUploadId(resumeKey, null);
+  return String(jobId);
+};
@@ -0,0 +1,260 @@
+import * as THREE from 'three';
+import { directionFromAngles } from './orientation';
+
+/**
+ * Sphere coverage of a capture, computed from where each frame actually pointed
+ * (its recorded quaternion, or its slot when none was recorded) and the camera FOV.
+ *
+ * The sphere is divided into an equirectangular grid of CELL_SIZE° cells, row 0 at the
+ * zenith and column 0 at azimuth -180, each one:
+ * - uncovered: seen by no frame
+ * - weak: seen by a single frame, within its outer EDGE_BAND, so the stitcher has no
+ *   overlap to match there
+ * - covered: everything else
+ *
+ * Directions follow placeObjectOnSphere: azimuth 0 looks down -z and grows towards +x,
+ * elevation grows towards +y.
+ */
+
+export const CELL_SIZE = 2;
+export const CELL_UNCOVERED = 0;
+export const CELL_WEAK = 1;
+export const CELL_COVERED = 2;
+
+// Fraction of the frame width/height on each side counted as its edge
+const EDGE_BAND = 0.1;
+
+// Gaps smaller than this fraction of a frame are left alone
+const MIN_GAP_AREA = 0.05;
+
+const COLUMNS = 360 / CELL_SIZE;
+const ROWS = 180 / CELL_SIZE;
+const WORLD_UP = new THREE.Vector3(0, 1, 0);
+const ORIGIN = new THREE.Vector3();
+
+const cellAngles = (row, column) => ({
+  azimuth: -180 + (column + 0.5) * CELL_SIZE,
+  elevation: 90 - (row + 0.5) * CELL_SIZE,
+});
+
+// Unit direction of every cell centre, computed once
+const CELL_DIRECTIONS = Array.from({ length: ROWS * COLUMNS }, (_, index) => {
+  const { azimuth, elevation } = cellAngles(Math.floor(index / COLUMNS), index % COLUMNS);
+  return directionFromAngles(azimuth, elevation);
+});
+
+// Share of the sphere's area per cell, so rows near the poles count for less
+const CELL_AREAS = Array.from({ length: ROWS }, (_, row) => Math.cos(THREE.MathUtils.degToRad(cellAngles(row, 0).elevation)));
+const TOTAL_AREA = CELL_AREAS.reduce((sum, area) => sum + area, 0) * COLUMNS;
+
+// Camera orientation looking at a slot, level with the horizon
+const quaternionFromAngles = (azimuth, elevation) => new THREE.Quaternion().setFromRotationMatrix(
+  new THREE.Matrix4().lookAt(ORIGIN, directionFromAngles(azimuth, elevation), WORLD_UP)
+);
+
+const frameQuaternion = (frame) => (frame.quaternion
+  ? new THREE.Quaternion().fromArray(frame.quaternion)
+  : quaternionFromAngles(frame.azimuth, frame.elevation));
+
+// Position of a direction in a frame: x and y from -1 to 1 across the image, null when outside it
+const projectIntoFrame = (direction, inverseQuaternion, tanX, tanY, local) => {
+  local.copy(direction).applyQuaternion(inverseQuaternion);
+  if (local.z >= 0) return null;
+  const x = local.x / -local.z / tanX;
+  const y = local.y / -local.z / tanY;
+  return Math.abs(x) <= 1 && Math.abs(y) <= 1 ? { x, y } : null;
+};
+
+const halfTangents = ({ hfov, vfov }) => [
+  Math.tan(THREE.MathUtils.degToRad(hfov) / 2),
+  Math.tan(THREE.MathUtils.degToRad(vfov) / 2),
+];
+
+/**
+ * Creates an empty coverage grid, to be updated one frame at a time with
+ * addFrameCoverage so live captures only project the frames that changed.
+ * @returns {{counts: Uint16Array, interior: Uint16Array}} Per cell, the number of frames
+ *   seeing it and the number seeing it away from their edges.
+ */
+export const createCoverageGrid = () => ({
+  counts: new Uint16Array(ROWS * COLUMNS),
+  interior: new Uint16Array(ROWS * COLUMNS),
+});
+
+/**
+ * Adds a frame to a coverage grid, or takes it out again.
+ * @param {Object} grid - Grid from createCoverageGrid.
+ * @param {Object} frame - Capture ({ azimuth, elevation, quaternion? }).
+ * @param {{hfov: number, vfov: number}} fov - Camera field of view in degrees.
+ * @param {number} [sign=1] - 1 to add the frame, -1 to remove one added before.
+ */
+export const addFrameCoverage = (grid, frame, fov, sign = 1) => {
+  const [tanX, tanY] = halfTangents(fov);
+  const inverse = frameQuaternion(frame).invert();
+  const local = new THREE.Vector3();
+  const edge = 1 - 2 * EDGE_BAND;
+  CELL_DIRECTIONS.forEach((direction, index) => {
+    const point = projectIntoFrame(direction, inverse, tanX, tanY, local);
+    if (!point) return;
+    grid.counts[index] += sign;
+    if (Math.abs(point.x) <= edge && Math.abs(point.y) <= edge) grid.interior[index] += sign;
+  });
+};
+
+/**
+ * Cell states and covered share of a coverage grid.
+ * @param {Object} grid - Grid from createCoverageGrid.
+ * @returns {{columns: number, rows: number, cells: Uint8Array, coveredRatio: number}} Cell states
+ *   (CELL_UNCOVERED | CELL_WEAK | CELL_COVERED) row by row, and the share of the sphere covered.
+ */
+export const summarizeCoverage = ({ counts, interior }) => {
+  const cells = new Uint8Array(ROWS * COLUMNS);
+  let coveredArea = 0;
+  counts.forEach((count, index) => {
+    if (count === 0) return;
+    cells[index] = count === 1 && !interior[index] ? CELL_WEAK : CELL_COVERED;
+    coveredArea += CELL_AREAS[Math.floor(index / COLUMNS)];
+  });
+
+  return { columns: COLUMNS, rows: ROWS, cells, coveredRatio: coveredArea / TOTAL_AREA };
+};
+
+/**
+ * Computes which parts of the sphere the frames cover.
+ * @param {Array<Object>} frames - Captures ({ azimuth, elevation, quaternion? }).
+ * @param {{hfov: number, vfov: number}} fov - Camera field of view in degrees.
+ * @returns {Object} See summarizeCoverage.
+ */
+export const computeCoverage = (frames, fov) => {
+  const grid = createCoverageGrid();
+  frames.forEach(frame => addFrameCoverage(grid, frame, fov));
+  return summarizeCoverage(grid);
+};
+
+// Connected groups of cells needing a shot, wrapping around in azimuth and across the poles
+const findGapRegions = (missing) => {
+  const seen = new Uint8Array(missing.length);
+  const regions = [];
+  missing.forEach((isMissing, start) => {
+    if (!isMissing || seen[start]) return;
+    const cells = [];
+    const stack = [start];
+    seen[start] = 1;
+    while (stack.length > 0) {
+      const index = stack.pop();
+      cells.push(index);
+      const row = Math.floor(index / COLUMNS);
+      const column = index % COLUMNS;
+      const neighbours = [
+        row * COLUMNS + ((column + 1) % COLUMNS),
+        row * COLUMNS + ((column + COLUMNS - 1) % COLUMNS),
+        // Past a pole the neighbour is on the opposite side of the same row
+        row > 0 ? index - COLUMNS : row * COLUMNS + ((column + COLUMNS / 2) % COLUMNS),
+        row < ROWS - 1 ? index + COLUMNS : row * COLUMNS + ((column + COLUMNS / 2) % COLUMNS),
+      ];
+      neighbours.forEach(neighbour => {
+        if (missing[neighbour] && !seen[neighbour]) {
+          seen[neighbour] = 1;
+          stack.push(neighbour);
+        }
+      });
+    }
+    const area = cells.reduce((sum, index) => sum + CELL_AREAS[Math.floor(index / COLUMNS)], 0);
+    regions.push({ cells, area });
+  });
+  return regions.sort((a, b) => b.area - a.area);
+};
+
+/**
+ * Suggests extra queue slots that would fill the uncovered and weak parts of the sphere,
+ * largest gap first, each aimed at the middle of its gap. Coverage is recomputed from the
+ * actual poses once they are shot, so any rim left weak can be filled in another pass.
+ * @param {Object} coverage - Result of computeCoverage.
+ * @param {{hfov: number, vfov: number}} fov - Camera field of view in degrees.
+ * @param {number} [maxSlots=12] - Upper bound on the number of slots.
+ * @returns {Array<{azimuth: number, elevation: number}>} Queue slots, azimuth in [0, 360).
+ */
+export const findGapSlots = (coverage, fov, maxSlots = 12) => {
+  const [tanX, tanY] = halfTangents(fov);
+  const frameArea = (fov.hfov * fov.vfov) / (CELL_SIZE * CELL_SIZE);
+  const missing = Uint8Array.from(coverage.cells, state => (state === CELL_COVERED ? 0 : 1));
+  const local = new THREE.Vector3();
+  const slots = [];
+
+  while (slots.length < maxSlots) {
+    const region = findGapRegions(missing)[0];
+    if (!region || region.area < frameArea * MIN_GAP_AREA) break;
+
+    // Aim at the middle of the gap; rings (e.g. around a pole) fall back to one of their cells
+    const centre = new THREE.Vector3();
+    region.cells.forEach(index => centre.add(CELL_DIRECTIONS[index]));
+    const candidates = centre.lengthSq() > 1e-6 ? [centre.normalize(), CELL_DIRECTIONS[region.cells[0]]] : [CELL_DIRECTIONS[region.cells[0]]];
+
+    let filled = 0;
+    for (const direction of candidates) {
+      const azimuth = Math.round(THREE.MathUtils.radToDeg(Math.atan2(direction.x, -direction.z)) + 360) % 360;
+      const elevation = Math.round(THREE.MathUtils.radToDeg(Math.asin(THREE.MathUtils.clamp(direction.y, -1, 1))));
+      const inverse = quaternionFromAngles(azimuth, elevation).invert();
+      filled = 0;
+      CELL_DIRECTIONS.forEach((cellDirection, index) => {
+        if (!missing[index]) return;
+        if (projectIntoFrame(cellDirection, inverse, tanX, tanY, local)) {
+          missing[index] = 0;
+          filled++;
+        }
+      });
+      if (filled > 0) {
+        slots.push({ azimuth, elevation });
+        break;
+      }
+    }
+    // Nothing reachable from the gap's centre or its first cell: leave the rest alone
+    if (filled === 0) break;
+  }
+  return slots;
+};
+
+/**
+ * Creates the translucent overlay drawn just inside the reference sphere.
+ * @param {number} radius - Overlay radius, between the captured planes and the reference sphere.
+ * @returns {THREE.Mesh} Overlay mesh; update it with updateCoverageOverlay.
+ */
+export const createCoverageOverlay = (radius) => {
+  const texture = new THREE.DataTexture(new Uint8Array(ROWS * COLUMNS * 4), COLUMNS, ROWS);
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearFilter;
+  texture.wrapS = THREE.RepeatWrapping;
+
+  // Inside-out sphere; rotated so the grid's centre column (azimuth 0) faces -z
+  const geometry = new THREE.SphereGeometry(radius, 64, 32);
+  geometry.scale(-1, 1, 1);
+  const material = new THREE.MeshBasicMaterial({ map: texture, transparent: true, depthWrite: false });
+  const overlay = new THREE.Mesh(geometry, material);
+  overlay.rotation.y = -Math.PI / 2;
+  overlay.renderOrder = 1; // Over the reference sphere
+  overlay.visible = false;
+  return overlay;
+};
+
+// Overlay colours per cell state (RGBA)
+const CELL_COLORS = {
+  [CELL_UNCOVERED]: [255, 64, 64, 110],
+  [CELL_WEAK]: [255, 170, 0, 80],
+  [CELL_COVERED]: [0, 0, 0, 0],
+};
+
+/**
+ * Paints a coverage result onto the overlay.
+ * @param {THREE.Mesh} overlay - Mesh from createCoverageOverlay.
+ * @param {Object} coverage - Result of computeCoverage.
+ */
+export const updateCoverageOverlay = (overlay, coverage) => {
+  const texture = overlay.material.map;
+  const data = texture.image.data;
+  coverage.cells.forEach((state, index) => {
+    // Texture rows start at the bottom (the nadir)
+    const row = ROWS - 1 - Math.floor(index / COLUMNS);
+    data.set(CELL_COLORS[state], (row * COLUMNS + (index % COLUMNS)) * 4);
+  });
+  texture.needsUpdate = true;
+};
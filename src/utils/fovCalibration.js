@@ -0,0 +1,87 @@
+import * as THREE from 'three';
+
+/**
+ * Camera field-of-view calibration helpers.
+ *
+ * The FOV is measured by pointing the device so that a distinct feature sits
+ * on a guide line near one edge of the frame, then rotating until the same
+ * feature sits on the guide near the opposite edge. The angle the device
+ * turned between the two marks, corrected for the guide inset, is the FOV
+ * along that axis.
+ */
+
+const STORAGE_KEY = 'panorama.fovProfiles';
+
+// Guides are drawn this far in from each frame edge (fraction of the frame size)
+export const CALIBRATION_GUIDE_INSET = 0.1;
+
+// Plausible range for a phone camera FOV in degrees
+const MIN_FOV = 10;
+const MAX_FOV = 150;
+
+/**
+ * Builds the profile key for a camera track from its settings.
+ * @param {MediaStreamTrack} track - Video track from getUserMedia.
+ * @returns {string|null} Key such as "abc123@1920x1080", or null without a track.
+ */
+export const getCameraProfileKey = (track) => {
+  if (!track || typeof track.getSettings !== 'function') return null;
+  const { deviceId, width, height } = track.getSettings();
+  return `${deviceId || 'default'}@${width || 0}x${height || 0}`;
+};
+
+const readProfiles = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (err) {
+    console.warn('Ignoring unreadable FOV profiles:', err);
+    return {};
+  }
+};
+
+/**
+ * Loads the calibrated FOV saved for a camera.
+ * @param {string} key - Profile key from getCameraProfileKey.
+ * @returns {{hfov: number, vfov: number, calibratedAt: string}|null} Saved profile, if any.
+ */
+export const loadFovProfile = (key) => {
+  if (!key) return null;
+  return readProfiles()[key] || null;
+};
+
+/**
+ * Saves a calibrated FOV for a camera.
+ * @param {string} key - Profile key from getCameraProfileKey.
+ * @param {{hfov: number, vfov: number}} fov - Measured FOV in degrees.
+ */
+export const saveFovProfile = (key, fov) => {
+  if (!key) return;
+  const profiles = readProfiles();
+  profiles[key] = { hfov: fov.hfov, vfov: fov.vfov, calibratedAt: new Date().toISOString() };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+  } catch (err) {
+    console.warn('Unable to save FOV profile:', err);
+  }
+};
+
+/**
+ * Computes the FOV along one axis from the camera orientation at the two marks.
+ * @param {THREE.Quaternion} startQuaternion - Camera orientation with the feature on the first guide.
+ * @param {THREE.Quaternion} endQuaternion - Camera orientation with the feature on the opposite guide.
+ * @param {number} [inset=CALIBRATION_GUIDE_INSET] - Guide inset used while measuring.
+ * @returns {number|null} FOV in degrees, or null if the measurement is implausible.
+ */
+export const fovFromRotation = (startQuaternion, endQuaternion, inset = CALIBRATION_GUIDE_INSET) => {
+  const forward = new THREE.Vector3(0, 0, -1);
+  const start = forward.clone().applyQuaternion(startQuaternion);
+  const end = forward.clone().applyQuaternion(endQuaternion);
+  const turned = start.angleTo(end);
+
+  // The guides sit at ±(1 - 2 * inset) of the half-frame in normalized image coordinates
+  const guideSpan = 1 - 2 * inset;
+  const fov = THREE.MathUtils.radToDeg(2 * Math.atan(Math.tan(turned / 2) / guideSpan));
+
+  if (!Number.isFinite(fov) || fov < MIN_FOV || fov > MAX_FOV) return null;
+  return Math.round(fov * 10) / 10;
+};
@@ -0,0 +1,94 @@
+/**
+ * Frame quality metrics used to reject blurry or badly exposed captures.
+ */
+
+// Luma values at or beyond these count as clipped shadows/highlights
+const CLIP_LOW = 5;
+const CLIP_HIGH = 250;
+
+/**
+ * Measures sharpness and exposure of a frame.
+ *
+ * Sharpness is the variance of the 4-neighbour Laplacian of the luma channel:
+ * blurred frames have few strong edges and therefore a low variance.
+ *
+ * @param {ImageData} imageData - RGBA pixels of the frame.
+ * @returns {{sharpness: number, meanLuminance: number, clippedRatio: number}} Frame metrics.
+ */
+export const analyzeFrame = (imageData) => {
+  const { data, width, height } = imageData;
+  const pixelCount = width * height;
+  const luma = new Float32Array(pixelCount);
+
+  let luminanceSum = 0;
+  let clipped = 0;
+  for (let i = 0; i < pixelCount; i++) {
+    const y = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    luma[i] = y;
+    luminanceSum += y;
+    if (y <= CLIP_LOW || y >= CLIP_HIGH) clipped++;
+  }
+
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+  for (let row = 1; row < height - 1; row++) {
+    for (let col = 1; col < width - 1; col++) {
+      const i = row * width + col;
+      const laplacian = luma[i - width] + luma[i + width] + luma[i - 1] + luma[i + 1] - 4 * luma[i];
+      sum += laplacian;
+      sumSquares += laplacian * laplacian;
+      count++;
+    }
+  }
+  const mean = count ? sum / count : 0;
+
+  return {
+    sharpness: count ? sumSquares / count - mean * mean : 0,
+    meanLuminance: pixelCount ? luminanceSum / pixelCount : 0,
+    clippedRatio: pixelCount ? clipped / pixelCount : 0,
+  };
+};
+
+// Frames are analysed at this width, which is plenty to judge blur and exposure
+const ANALYSIS_WIDTH = 320;
+
+/**
+ * Downscaled pixels of a frame for analyzeFrame, so checking a shot does not read back
+ * and filter every pixel of a 1080p or 4K frame on the capture path.
+ * @param {CanvasImageSource} source - The frame, e.g. the canvas it was drawn on.
+ * @param {number} width - Frame width in pixels.
+ * @param {number} height - Frame height in pixels.
+ * @returns {ImageData} RGBA pixels at most ANALYSIS_WIDTH wide.
+ */
+export const getAnalysisImageData = (source, width, height) => {
+  const scale = Math.min(1, ANALYSIS_WIDTH / width);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+};
+
+/**
+ * Compares frame metrics against the capture settings thresholds.
+ * @param {{sharpness: number, meanLuminance: number, clippedRatio: number}} metrics - From analyzeFrame.
+ * @param {{minSharpness: number, minLuminance: number, maxLuminance: number, maxClippedRatio: number}} thresholds - Capture settings.
+ * @returns {string|null} Why the frame was rejected, or null if it passes.
+ */
+export const checkFrameQuality = (metrics, thresholds) => {
+  if (metrics.sharpness < thresholds.minSharpness) {
+    return 'the image is blurry. Hold the device still.';
+  }
+  if (metrics.meanLuminance < thresholds.minLuminance) {
+    return 'the image is too dark. Add light or avoid pointing at shadows.';
+  }
+  if (metrics.meanLuminance > thresholds.maxLuminance) {
+    return 'the image is too bright. Avoid pointing directly at lights or windows.';
+  }
+  if (metrics.clippedRatio > thresholds.maxClippedRatio) {
+    return 'too much of the image is blown out or crushed to black.';
+  }
+  return null;
+};
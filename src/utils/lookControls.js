@@ -0,0 +1,96 @@
+/**
+ * Look-around controls shared by the capture scene and the panorama viewer:
+ * device orientation (gyro) where available, OrbitControls drag otherwise.
+ */
+
+import { DeviceOrientationControls } from 'three-stdlib';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
+
+/**
+ * Applies the app's OrbitControls defaults.
+ * @param {OrbitControls} controls - Controls to configure.
+ */
+export const configureOrbitControls = (controls) => {
+  controls.enableDamping = true;
+  controls.dampingFactor = 0.05;
+  controls.minDistance = 1;
+  controls.maxDistance = 100;
+  controls.enablePan = false;
+  controls.enableZoom = true;
+};
+
+const createOrbitControls = (camera, domElement) => {
+  const controls = new OrbitControls(camera, domElement);
+  configureOrbitControls(controls);
+  return controls;
+};
+
+let orientationPermissionGranted = false;
+
+/**
+ * Asks for device orientation access where the browser requires it (iOS 13+). iOS only
+ * shows the prompt, and otherwise rejects, when this is called from a user gesture such
+ * as a click handler, so call it there before creating gyro controls.
+ * @returns {Promise<boolean>} True when orientation events may be used.
+ */
+export const requestOrientationPermission = async () => {
+  if (orientationPermissionGranted || typeof window.DeviceOrientationEvent?.requestPermission !== 'function') {
+    return true;
+  }
+  try {
+    orientationPermissionGranted = (await DeviceOrientationEvent.requestPermission()) === 'granted';
+  } catch (err) {
+    console.warn('Unable to request device orientation permission:', err);
+  }
+  return orientationPermissionGranted;
+};
+
+const createDeviceOrientationControls = (camera) => {
+  const controls = new DeviceOrientationControls(camera);
+  controls.connect();
+  return controls;
+};
+
+/**
+ * Creates gyro controls when the device supports them (asking for permission on iOS 13+,
+ * which only succeeds from a user gesture unless requestOrientationPermission already
+ * did), falling back to OrbitControls.
+ * @param {THREE.Camera} camera - Camera to drive.
+ * @param {HTMLElement} domElement - Element receiving drag input.
+ * @param {{gyro?: boolean}} [options] - Set gyro to false to force drag controls.
+ * @returns {Promise<DeviceOrientationControls|OrbitControls>} The controls.
+ */
+export const createLookControls = async (camera, domElement, { gyro = true } = {}) => {
+  if (!gyro || !window.DeviceOrientationEvent) {
+    // Use OrbitControls for desktop
+    return createOrbitControls(camera, domElement);
+  }
+
+  // For iOS 13+ devices, need to request permission
+  if (!(await requestOrientationPermission())) {
+    console.warn('Device Orientation permission denied. Falling back to OrbitControls.');
+    return createOrbitControls(camera, domElement);
+  }
+
+  // Use DeviceOrientationControls for mobile devices
+  return createDeviceOrientationControls(camera);
+};
+
+/**
+ * Releases controls created by createLookControls.
+ * @param {DeviceOrientationControls|OrbitControls|undefined} controls - Controls to dispose.
+ */
+export const disposeLookControls = (controls) => {
+  if (controls instanceof DeviceOrientationControls) {
+    controls.disconnect();
+  } else if (controls instanceof OrbitControls) {
+    controls.dispose();
+  }
+};
+
+/**
+ * Whether the controls follow the device orientation.
+ * @param {Object} controls - Controls from createLookControls.
+ * @returns {boolean} True for gyro controls.
+ */
+export const isGyroControls = (controls) => controls instanceof DeviceOrientationControls;
@@ -0,0 +1,89 @@
+import * as THREE from 'three';
+
+/**
+ * Camera pose helpers shared by capture, guidance and stitching.
+ *
+ * Directions follow placeObjectOnSphere: azimuth 0 looks down -z and grows
+ * towards +x, elevation grows towards +y.
+ */
+
+const WORLD_UP = new THREE.Vector3(0, 1, 0);
+
+// Roll is undefined when looking (almost) straight up or down
+const POLE_DOT_LIMIT = 0.95;
+
+/**
+ * Unit direction for an azimuth/elevation pair.
+ * @param {number} azimuthDeg - Azimuth in degrees.
+ * @param {number} elevationDeg - Elevation in degrees.
+ * @returns {THREE.Vector3} Direction from the sphere centre.
+ */
+export const directionFromAngles = (azimuthDeg, elevationDeg) => {
+  const azimuthRad = THREE.MathUtils.degToRad(azimuthDeg);
+  const elevationRad = THREE.MathUtils.degToRad(elevationDeg);
+  return new THREE.Vector3(
+    Math.cos(elevationRad) * Math.sin(azimuthRad),
+    Math.sin(elevationRad),
+    -Math.cos(elevationRad) * Math.cos(azimuthRad)
+  );
+};
+
+/**
+ * Signed roll of the camera around its viewing axis, relative to the horizon.
+ * Positive when the device is rotated clockwise (the horizon appears to tilt counter-clockwise).
+ * @param {THREE.Quaternion} quaternion - Camera orientation.
+ * @returns {number|null} Roll in degrees, or null near the zenith/nadir where it is undefined.
+ */
+export const getCameraRoll = (quaternion) => {
+  const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(quaternion);
+  if (Math.abs(forward.dot(WORLD_UP)) > POLE_DOT_LIMIT) return null;
+
+  const up = new THREE.Vector3(0, 1, 0).applyQuaternion(quaternion);
+  const right = new THREE.Vector3(1, 0, 0).applyQuaternion(quaternion);
+  // Angle of world up in the image plane; 0 when the camera is level
+  const roll = Math.atan2(-WORLD_UP.dot(right), WORLD_UP.dot(up));
+  return THREE.MathUtils.radToDeg(roll);
+};
+
+/**
+ * Azimuth and elevation the camera points at; the inverse of directionFromAngles.
+ * @param {THREE.Quaternion} quaternion - Camera orientation.
+ * @returns {{azimuth: number, elevation: number}} Angles in degrees, azimuth in (-180, 180].
+ */
+export const anglesFromQuaternion = (quaternion) => {
+  const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(quaternion);
+  return {
+    azimuth: THREE.MathUtils.radToDeg(Math.atan2(forward.x, -forward.z)),
+    elevation: THREE.MathUtils.radToDeg(Math.asin(THREE.MathUtils.clamp(forward.y, -1, 1))),
+  };
+};
+
+/**
+ * Angle between where the camera points and a target slot.
+ * @param {THREE.Quaternion} quaternion - Camera orientation.
+ * @param {number} azimuthDeg - Target azimuth in degrees.
+ * @param {number} elevationDeg - Target elevation in degrees.
+ * @returns {number} Alignment error in degrees.
+ */
+export const getAlignmentError = (quaternion, azimuthDeg, elevationDeg) => {
+  const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(quaternion);
+  return THREE.MathUtils.radToDeg(forward.angleTo(directionFromAngles(azimuthDeg, elevationDeg)));
+};
+
+/**
+ * Snapshot of the camera pose for a capture record.
+ * @param {THREE.Camera} camera - The viewer camera driven by the orientation controls.
+ * @param {number} azimuthDeg - Planned azimuth of the queue slot.
+ * @param {number} elevationDeg - Planned elevation of the queue slot.
+ * @returns {{quaternion: number[], roll: number|null, alignmentError: number, timestamp: number}} Pose record.
+ */
+export const captureCameraPose = (camera, azimuthDeg, elevationDeg) => {
+  const quaternion = camera.quaternion.clone();
+  const roll = getCameraRoll(quaternion);
+  return {
+    quaternion: quaternion.toArray(), // [x, y, z, w]
+    roll: roll === null ? null : Math.round(roll * 100) / 100,
+    alignmentError: Math.round(getAlignmentError(quaternion, azimuthDeg, elevationDeg) * 100) / 100,
+    timestamp: Date.now(),
+  };
+};
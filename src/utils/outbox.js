@@ -0,0 +1,130 @@
+/**
+ * Offline upload queue.
+ *
+ * When an upload fails because the network is gone, the session is put in the IndexedDB
+ * outbox (see sessionStore.js) together with the stitch settings it was sent with and its
+ * capture manifest (built here, where the device and app details are known). The
+ * service worker in public/sw.js sends it once the connection is back: through
+ * Background Sync where the browser supports it, otherwise whenever a page asks for a
+ * flush (on start-up and on the 'online' event). The worker reports every finished
+ * session to open pages and, with permission, as a notification.
+ */
+
+import { getSession, getSessionCaptures, saveOutboxEntry } from './sessionStore';
+import { buildCaptureManifest } from './captureManifest';
+
+const SYNC_TAG = 'panorama-outbox';
+const WORKER_URL = `${import.meta.env.BASE_URL}sw.js`;
+
+/**
+ * Whether this browser can queue uploads (service workers are required).
+ * @returns {boolean}
+ */
+export const isOutboxSupported = () => 'serviceWorker' in navigator && 'indexedDB' in window;
+
+/**
+ * Registers the outbox service worker.
+ * @returns {Promise<ServiceWorkerRegistration|null>} The registration, or null when unsupported.
+ */
+export const registerOutboxWorker = async () => {
+  if (!isOutboxSupported()) return null;
+  try {
+    return await navigator.serviceWorker.register(WORKER_URL);
+  } catch (err) {
+    console.warn('Unable to register the outbox service worker:', err);
+    return null;
+  }
+};
+
+/**
+ * Asks the service worker to send everything in the outbox now.
+ * @returns {Promise<void>}
+ */
+export const requestOutboxFlush = async () => {
+  if (!isOutboxSupported()) return;
+  const registration = await navigator.serviceWorker.ready;
+  if (registration.active) {
+    registration.active.postMessage({ type: 'flush-outbox' });
+  }
+};
+
+/**
+ * Queues a session for upload once the network is back.
+ * @param {string} sessionId - Session to upload.
+ * @param {Object} config - Stitch configuration the upload was attempted with.
+ * @param {Object} [options]
+ * @param {string} [options.jobId] - Job the service already accepted, to wait for instead of uploading again.
+ * @param {string} [options.error] - Why the upload failed.
+ * @returns {Promise<void>}
+ */
+export const queueForUpload = async (sessionId, config, { jobId, error } = {}) => {
+  if (!isOutboxSupported()) {
+    throw new Error('Offline uploads are not supported by this browser.');
+  }
+  const session = await getSession(sessionId);
+  if (!session) throw new Error('The session no longer exists.');
+  const manifest = await buildCaptureManifest(await getSessionCaptures(sessionId), {
+    plan: session.plan,
+    fov: session.fov,
+  });
+
+  await saveOutboxEntry({
+    sessionId,
+    config: {
+      endpoint: config.endpoint,
+      headers: config.headers,
+      timeout: config.timeout,
+      protocol: config.protocol,
+      pollInterval: config.pollInterval,
+    },
+    manifest,
+    jobId: jobId || null,
+    queuedAt: Date.now(),
+    attempts: 0,
+    lastError: error || null,
+  });
+
+  const registration = await registerOutboxWorker();
+  if (registration && registration.sync) {
+    try {
+      await registration.sync.register(SYNC_TAG);
+    } catch (err) {
+      console.warn('Background sync unavailable, the upload is sent on the next start:', err);
+    }
+  }
+
+  // Permission for the "panorama stitched" notification
+  if ('Notification' in window && Notification.permission === 'default') {
+    Notification.requestPermission().catch(err => console.warn('Notification permission failed:', err));
+  }
+};
+
+/**
+ * Registers the worker, flushes the outbox now and whenever the browser comes back online,
+ * and forwards the worker's results.
+ * @param {function({sessionId: string, name: string, status: string, error?: string}): void} onResult
+ *   Called when a queued session was stitched ('stitched') or rejected ('failed').
+ * @returns {function(): void} Stops watching.
+ */
+export const watchOutbox = (onResult) => {
+  if (!isOutboxSupported()) return () => {};
+
+  const flush = () => requestOutboxFlush().catch(err => console.warn('Unable to flush the outbox:', err));
+  const onMessage = (event) => {
+    if (event.data && event.data.type === 'outbox-result') {
+      const { sessionId, name, status, error } = event.data;
+      onResult({ sessionId, name, status, error });
+    }
+  };
+
+  navigator.serviceWorker.addEventListener('message', onMessage);
+  window.addEventListener('online', flush);
+  registerOutboxWorker().then(registration => {
+    if (registration) flush();
+  });
+
+  return () => {
+    navigator.serviceWorker.removeEventListener('message', onMessage);
+    window.removeEventListener('online', flush);
+  };
+};
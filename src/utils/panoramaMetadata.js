@@ -0,0 +1,275 @@
+/**
+ * JPEG export with the metadata 360 viewers look for.
+ *
+ * - XMP (APP1): Google Photo Sphere (GPano) properties marking the image as an
+ *   equirectangular panorama. Images that are not 2:1 are treated as a vertically
+ *   centred crop of a full sphere.
+ * - EXIF (APP1): capture time and, when the session recorded one, the GPS position.
+ *
+ * Existing EXIF/XMP segments of the source are replaced; other images are re-encoded as JPEG.
+ */
+
+import { saveAs } from 'file-saver';
+import { name as appName, version as appVersion } from '../../package.json';
+import { sessionFilename } from './captureBundle';
+
+const JPEG_QUALITY = 0.92;
+const EXIF_HEADER = 'Exif\0\0';
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+
+// TIFF field types: [id, bytes per component]
+const BYTE = [1, 1];
+const ASCII = [2, 1];
+const LONG = [4, 4];
+const RATIONAL = [5, 8];
+
+const encoder = new TextEncoder();
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// EXIF date format, in local time: "YYYY:MM:DD HH:MM:SS"
+const exifDate = (date) =>
+  `${date.getFullYear()}:${pad(date.getMonth() + 1)}:${pad(date.getDate())} ` +
+  `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+
+// UTC offset of a local time: "+HH:MM"
+const exifTimezone = (date) => {
+  const minutes = -date.getTimezoneOffset();
+  const sign = minutes >= 0 ? '+' : '-';
+  return `${sign}${pad(Math.floor(Math.abs(minutes) / 60))}:${pad(Math.abs(minutes) % 60)}`;
+};
+
+// Degrees as the degrees/minutes/seconds rationals of a GPS coordinate, rounded once to
+// milliseconds of arc so seconds never round up to 60
+const gpsCoordinate = (value) => {
+  const milliseconds = Math.round(Math.abs(value) * 3600 * 1000);
+  const degrees = Math.floor(milliseconds / 3600000);
+  const minutes = Math.floor((milliseconds % 3600000) / 60000);
+  const seconds = milliseconds % 60000;
+  return [[degrees, 1], [minutes, 1], [seconds, 1000]];
+};
+
+const entry = (tag, [type, size], values) => ({ tag, type, size, values });
+const asciiEntry = (tag, text) => entry(tag, ASCII, [...encoder.encode(`${text}\0`)]);
+
+const valueSize = (item) => item.size * item.values.length;
+
+// Bytes taken by an IFD and the values that do not fit in its entries
+const ifdSize = (entries) => entries.reduce((total, item) => {
+  const size = valueSize(item);
+  return total + (size > 4 ? size + (size % 2) : 0);
+}, 2 + entries.length * 12 + 4);
+
+// Write one IFD (big-endian) at offset, with its out-of-line values right after it
+const writeIfd = (view, offset, entries) => {
+  view.setUint16(offset, entries.length);
+  let dataOffset = offset + 2 + entries.length * 12 + 4;
+  entries.forEach((item, index) => {
+    const entryOffset = offset + 2 + index * 12;
+    view.setUint16(entryOffset, item.tag);
+    view.setUint16(entryOffset + 2, item.type);
+    view.setUint32(entryOffset + 4, item.values.length);
+
+    const size = valueSize(item);
+    let valueOffset = entryOffset + 8;
+    if (size > 4) {
+      view.setUint32(entryOffset + 8, dataOffset);
+      valueOffset = dataOffset;
+      dataOffset += size + (size % 2);
+    }
+    item.values.forEach((value, i) => {
+      if (item.type === RATIONAL[0]) {
+        view.setUint32(valueOffset + i * 8, value[0]);
+        view.setUint32(valueOffset + i * 8 + 4, value[1]);
+      } else if (item.type === LONG[0]) {
+        view.setUint32(valueOffset + i * 4, value);
+      } else {
+        view.setUint8(valueOffset + i, value);
+      }
+    });
+  });
+  view.setUint32(offset + 2 + entries.length * 12, 0); // No next IFD
+};
+
+/**
+ * EXIF block (TIFF structure) with the capture time, image size and optional GPS position.
+ * @param {Object} options
+ * @param {Date} options.capturedAt - Capture time.
+ * @param {number} options.width - Image width in pixels.
+ * @param {number} options.height - Image height in pixels.
+ * @param {{latitude: number, longitude: number, altitude?: number|null}} [options.location] - GPS position.
+ * @returns {Uint8Array} TIFF bytes (without the "Exif" header).
+ */
+export const buildExif = ({ capturedAt, width, height, location }) => {
+  const exifEntries = [
+    asciiEntry(0x9003, exifDate(capturedAt)), // DateTimeOriginal
+    asciiEntry(0x9011, exifTimezone(capturedAt)), // OffsetTimeOriginal
+    entry(0xa002, LONG, [width]), // PixelXDimension
+    entry(0xa003, LONG, [height]), // PixelYDimension
+  ];
+
+  let gpsEntries = null;
+  if (location) {
+    gpsEntries = [
+      entry(0x0000, BYTE, [2, 3, 0, 0]), // GPSVersionID
+      asciiEntry(0x0001, location.latitude >= 0 ? 'N' : 'S'),
+      entry(0x0002, RATIONAL, gpsCoordinate(location.latitude)),
+      asciiEntry(0x0003, location.longitude >= 0 ? 'E' : 'W'),
+      entry(0x0004, RATIONAL, gpsCoordinate(location.longitude)),
+    ];
+    if (Number.isFinite(location.altitude)) {
+      gpsEntries.push(
+        entry(0x0005, BYTE, [location.altitude < 0 ? 1 : 0]), // GPSAltitudeRef
+        entry(0x0006, RATIONAL, [[Math.round(Math.abs(location.altitude) * 100), 100]])
+      );
+    }
+  }
+
+  const exifPointer = entry(0x8769, LONG, [0]);
+  const gpsPointer = entry(0x8825, LONG, [0]);
+  const ifd0Entries = [
+    asciiEntry(0x0131, `${appName} ${appVersion}`), // Software
+    asciiEntry(0x0132, exifDate(capturedAt)), // DateTime
+    exifPointer,
+    ...(gpsEntries ? [gpsPointer] : []),
+  ];
+
+  const ifd0Offset = 8;
+  const exifOffset = ifd0Offset + ifdSize(ifd0Entries);
+  const gpsOffset = exifOffset + ifdSize(exifEntries);
+  exifPointer.values = [exifOffset];
+  gpsPointer.values = [gpsOffset];
+
+  const bytes = new Uint8Array(gpsOffset + (gpsEntries ? ifdSize(gpsEntries) : 0));
+  const view = new DataView(bytes.buffer);
+  view.setUint16(0, 0x4d4d); // "MM": big-endian
+  view.setUint16(2, 42);
+  view.setUint32(4, ifd0Offset);
+  writeIfd(view, ifd0Offset, ifd0Entries);
+  writeIfd(view, exifOffset, exifEntries);
+  if (gpsEntries) writeIfd(view, gpsOffset, gpsEntries);
+  return bytes;
+};
+
+/**
+ * GPano XMP packet of an equirectangular image.
+ * @param {Object} options
+ * @param {number} options.width - Image width in pixels.
+ * @param {number} options.height - Image height in pixels.
+ * @param {number|null} [options.heading] - Compass heading of the image centre in degrees.
+ * @param {Date} [options.capturedAt] - Capture time.
+ * @param {number} [options.sourcePhotos] - Number of frames stitched.
+ * @returns {string} XMP packet.
+ */
+export const buildGPanoXmp = ({ width, height, heading = null, capturedAt, sourcePhotos }) => {
+  const fullHeight = Math.max(height, Math.round(width / 2));
+  const properties = {
+    ProjectionType: 'equirectangular',
+    UsePanoramaViewer: 'True',
+    CroppedAreaImageWidthPixels: width,
+    CroppedAreaImageHeightPixels: height,
+    FullPanoWidthPixels: width,
+    FullPanoHeightPixels: fullHeight,
+    CroppedAreaLeftPixels: 0,
+    CroppedAreaTopPixels: Math.round((fullHeight - height) / 2),
+    ...(Number.isFinite(heading) ? { PoseHeadingDegrees: Math.round(heading * 10) / 10 } : {}),
+    ...(capturedAt ? { FirstPhotoDate: capturedAt.toISOString() } : {}),
+    ...(sourcePhotos ? { SourcePhotosCount: sourcePhotos } : {}),
+    StitchingSoftware: `${appName} ${appVersion}`,
+  };
+  const attributes = Object.entries(properties)
+    .map(([key, value]) => `\n    GPano:${key}="${value}"`)
+    .join('');
+  return '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>\n' +
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">\n' +
+    ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">\n' +
+    `  <rdf:Description rdf:about="" xmlns:GPano="http://ns.google.com/photos/1.0/panorama/"${attributes}/>\n` +
+    ' </rdf:RDF>\n' +
+    '</x:xmpmeta>\n' +
+    '<?xpacket end="w"?>';
+};
+
+// APP1 segment: marker, length (including itself) and payload
+const app1Segment = (header, payload) => {
+  const headerBytes = encoder.encode(header);
+  const length = 2 + headerBytes.length + payload.length;
+  if (length > 0xffff) throw new Error('Metadata segment too large.');
+  const segment = new Uint8Array(2 + length);
+  segment.set([0xff, 0xe1, length >> 8, length & 0xff]);
+  segment.set(headerBytes, 4);
+  segment.set(payload, 4 + headerBytes.length);
+  return segment;
+};
+
+const startsWith = (bytes, offset, text) => {
+  const expected = encoder.encode(text);
+  return expected.every((byte, i) => bytes[offset + i] === byte);
+};
+
+// Copy of a JPEG with new segments after SOI, dropping its own EXIF and XMP segments
+const replaceMetadata = (bytes, segments) => {
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) throw new Error('Not a JPEG image.');
+  const kept = [];
+  let offset = 2;
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+    const marker = bytes[offset + 1];
+    if (marker === 0xda) break; // Start of scan: the rest is image data
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    const isMetadata = marker === 0xe1 &&
+      (startsWith(bytes, offset + 4, EXIF_HEADER) || startsWith(bytes, offset + 4, XMP_HEADER));
+    if (!isMetadata) kept.push(bytes.subarray(offset, offset + 2 + length));
+    offset += 2 + length;
+  }
+  return new Blob([bytes.subarray(0, 2), ...segments, ...kept, bytes.subarray(offset)], { type: 'image/jpeg' });
+};
+
+// JPEG bytes and size of an image, re-encoding anything that is not a JPEG already
+const toJpeg = async (blob) => {
+  const bitmap = await createImageBitmap(blob);
+  const { width, height } = bitmap;
+  let jpeg = blob;
+  if (blob.type !== 'image/jpeg') {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    jpeg = await new Promise((resolve, reject) => canvas.toBlob(
+      result => (result ? resolve(result) : reject(new Error('Unable to encode the panorama as JPEG.'))),
+      'image/jpeg',
+      JPEG_QUALITY
+    ));
+  }
+  bitmap.close();
+  return { bytes: new Uint8Array(await jpeg.arrayBuffer()), width, height };
+};
+
+/**
+ * Adds GPano XMP and EXIF metadata to a stitched panorama.
+ * @param {Blob} blob - Equirectangular panorama (any format the browser decodes).
+ * @param {Object} [session] - Session record (createdAt, heading, location, captureCount).
+ * @returns {Promise<Blob>} The panorama as a JPEG with metadata.
+ */
+export const createPanoramaJpeg = async (blob, session = null) => {
+  const { bytes, width, height } = await toJpeg(blob);
+  const capturedAt = new Date(session?.createdAt || Date.now());
+  const exif = buildExif({ capturedAt, width, height, location: session?.location });
+  const xmp = buildGPanoXmp({
+    width,
+    height,
+    heading: session?.heading ?? null,
+    capturedAt,
+    sourcePhotos: session?.captureCount,
+  });
+  return replaceMetadata(bytes, [app1Segment(EXIF_HEADER, exif), app1Segment(XMP_HEADER, encoder.encode(xmp))]);
+};
+
+/**
+ * Downloads a stitched panorama as <session name>.jpg with 360 metadata.
+ * @param {Blob} blob - Equirectangular panorama.
+ * @param {Object} [session] - Session record; without one the file is called panorama.jpg.
+ * @returns {Promise<void>}
+ */
+export const exportPanoramaJpeg = async (blob, session = null) => {
+  const jpeg = await createPanoramaJpeg(blob, session);
+  saveAs(jpeg, `${session ? sessionFilename(session) : 'panorama'}.jpg`);
+};
@@ -0,0 +1,93 @@
+/**
+ * Project files for desktop stitchers, seeded with the orientation of every frame so the
+ * optimiser starts close to the final layout.
+ *
+ * images: [{ filename, width, height, yaw, pitch, roll }] with angles in degrees in
+ * Panorama Tools conventions: yaw grows to the right, pitch grows upwards and roll is
+ * positive clockwise. fov is the horizontal field of view of the camera.
+ */
+
+export const PROJECT_FORMATS = [
+  { id: 'none', name: 'None' },
+  { id: 'hugin', name: 'Hugin (.pto)', extension: 'pto' },
+  { id: 'ptgui', name: 'PTGui (.pts)', extension: 'pts' },
+];
+
+// Panorama Tools numbers: a few decimals, no exponent notation
+const format = (value) => String(Math.round((value || 0) * 1000) / 1000);
+
+// Equirectangular output size that keeps the resolution of the source frames
+const outputSize = (images, hfov) => {
+  const frameWidth = Math.max(...images.map(image => image.width));
+  const width = Math.min(32768, 2 * Math.round((360 / hfov) * frameWidth / 2));
+  return { width, height: width / 2 };
+};
+
+/**
+ * Hugin project: equirectangular output, every frame a rectilinear image sharing one lens,
+ * and yaw/pitch/roll of all but the first frame marked for optimisation.
+ * @param {Array<Object>} images - Frames with filename, size and orientation.
+ * @param {number} hfov - Horizontal field of view in degrees.
+ * @returns {string} Contents of a .pto file.
+ */
+export const buildHuginProject = (images, hfov) => {
+  const { width, height } = outputSize(images, hfov);
+  const lines = [
+    '# hugin project file',
+    '#hugin_ptoversion 2',
+    `p f2 w${width} h${height} v360 E0 R0 n"JPEG q95"`,
+    'm i0',
+    '',
+    '# image lines',
+  ];
+  images.forEach((image, index) => {
+    // Later images link their lens to the first one (v=0)
+    const lens = index === 0 ? `v${format(hfov)}` : 'v=0';
+    lines.push(`i w${image.width} h${image.height} f0 ${lens} r${format(image.roll)} p${format(image.pitch)} y${format(image.yaw)} n"${image.filename}"`);
+  });
+  lines.push('', '# specify variables that should be optimized');
+  images.forEach((image, index) => {
+    if (index > 0) lines.push(`v y${index} p${index} r${index}`);
+  });
+  lines.push('v', '', '#hugin_optimizeReferenceImage 0', '');
+  return lines.join('\n');
+};
+
+/**
+ * PTGui project in the text (Panorama Tools script) format, which PTGui opens directly.
+ * @param {Array<Object>} images - Frames with filename, size and orientation.
+ * @param {number} hfov - Horizontal field of view in degrees.
+ * @returns {string} Contents of a .pts file.
+ */
+export const buildPtguiProject = (images, hfov) => {
+  const { width, height } = outputSize(images, hfov);
+  const lines = [
+    '# ptGui project file',
+    '',
+    `p w${width} h${height} f2 v360 u0 n"JPEG g0 q95"`,
+    'm g0 i0',
+    '',
+  ];
+  images.forEach((image) => {
+    lines.push(
+      `#-imgfile ${image.width} ${image.height} "${image.filename}"`,
+      `o f0 y${format(image.yaw)} r${format(image.roll)} p${format(image.pitch)} v${format(hfov)} a0 b0 c0 d0 e0 g0 t0`
+    );
+  });
+  lines.push('');
+  return lines.join('\n');
+};
+
+/**
+ * Builds the project file of a format.
+ * @param {string} formatId - Id from PROJECT_FORMATS.
+ * @param {Array<Object>} images - Frames with filename, size and orientation.
+ * @param {number} hfov - Horizontal field of view in degrees.
+ * @returns {{filename: string, contents: string}|null} The file, or null for 'none'.
+ */
+export const buildProjectFile = (formatId, images, hfov) => {
+  const projectFormat = PROJECT_FORMATS.find(candidate => candidate.id === formatId);
+  if (!projectFormat || !projectFormat.extension) return null;
+  const contents = formatId === 'hugin' ? buildHuginProject(images, hfov) : buildPtguiProject(images, hfov);
+  return { filename: `project.${projectFormat.extension}`, contents };
+};
@@ -0,0 +1,118 @@
+/**
+ * Exports of a stitched panorama in other projections, rendered in a web worker
+ * (src/components/reprojectWorker.js):
+ *
+ * - cubemap: six faces (front, right, back, left, up, down) as separate files, a 6x1
+ *   strip in that order, or a 4x3 cross with up and down above and below the front face
+ * - planet: stereographic "little planet" looking at the nadir; fov is the angle across
+ *   the square and heading the azimuth shown at the top
+ * - rectilinear: a flat crop looking at heading/pitch with a horizontal fov
+ * - tiles: a multi-resolution cube tile pyramid (see tilePyramid.js), named
+ *   level/face/row/col so a ZIP unpacks into the usual level/face/y/x tree
+ */
+
+import { zip } from 'fflate';
+import { saveAs } from 'file-saver';
+
+export const EXPORT_FORMATS = [
+  { id: 'image/jpeg', name: 'JPEG', extension: 'jpg', lossy: true },
+  { id: 'image/png', name: 'PNG', extension: 'png', lossy: false },
+  { id: 'image/webp', name: 'WebP', extension: 'webp', lossy: true },
+  { id: 'image/avif', name: 'AVIF', extension: 'avif', lossy: true },
+];
+
+export const CUBEMAP_LAYOUTS = [
+  { id: 'faces', name: 'Separate faces (ZIP)' },
+  { id: 'strip', name: 'Strip (6x1)' },
+  { id: 'cross', name: 'Cross (4x3)' },
+];
+
+// Largest side the worker renders, to keep the pixel buffers within mobile memory
+export const MAX_OUTPUT_SIZE = 8192;
+
+const getExportFormat = (id) => EXPORT_FORMATS.find(format => format.id === id) || EXPORT_FORMATS[0];
+
+/**
+ * Renders a panorama in another projection.
+ * @param {Blob} blob - Equirectangular panorama.
+ * @param {Object} view - { kind: 'cubemap', layout, size } | { kind: 'planet', size, fov, heading }
+ *   | { kind: 'rectilinear', width, height, heading, pitch, fov } | { kind: 'tiles', tileSize }.
+ * @param {Object} [options]
+ * @param {string} [options.format='image/jpeg'] - Output MIME type from EXPORT_FORMATS.
+ * @param {number} [options.quality=0.92] - Quality of lossy formats (0-1).
+ * @param {function({stage: string, percent: number}): void} [options.onProgress] - Progress callback.
+ * @param {AbortSignal} [options.signal] - Aborting terminates the worker.
+ * @param {function({level: number, face: string, row: number, col: number, blob: Blob}): void} [options.onTile] -
+ *   Receives pyramid tiles as they are rendered; without it they are returned as files.
+ * @returns {Promise<Array<{name: string, blob: Blob}>>} Output files, named without extension.
+ */
+export const reprojectPanorama = (blob, view, { format = 'image/jpeg', quality = 0.92, onProgress, onTile, signal } = {}) => {
+  return new Promise((resolve, reject) => {
+    const tiles = [];
+    if (signal?.aborted) {
+      reject(new DOMException('Export cancelled.', 'AbortError'));
+      return;
+    }
+
+    const worker = new Worker(new URL('../components/reprojectWorker.js', import.meta.url));
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const onAbort = () => {
+      finish();
+      reject(new DOMException('Export cancelled.', 'AbortError'));
+    };
+    signal?.addEventListener('abort', onAbort);
+
+    worker.onmessage = (e) => {
+      const data = e.data;
+      if (data.type === 'progress') {
+        if (onProgress) onProgress({ stage: data.stage, percent: data.percent });
+      } else if (data.type === 'tile') {
+        const { level, face, row, col } = data;
+        if (onTile) onTile({ level, face, row, col, blob: data.blob });
+        else tiles.push({ name: `${level}/${face}/${row}/${col}`, blob: data.blob });
+      } else if (data.type === 'done') {
+        finish();
+        resolve([...tiles, ...data.files]);
+      } else if (data.type === 'error') {
+        finish();
+        reject(new Error(data.message));
+      }
+    };
+    worker.onerror = (e) => {
+      finish();
+      reject(new Error(e.message || 'The export worker crashed.'));
+    };
+
+    worker.postMessage({ type: 'reproject', blob, view, format, quality });
+  });
+};
+
+/**
+ * Renders and downloads a reprojection; several files are bundled in a ZIP.
+ * @param {Blob} blob - Equirectangular panorama.
+ * @param {Object} view - See reprojectPanorama.
+ * @param {Object} options - See reprojectPanorama.
+ * @param {string} baseName - Filename stem, e.g. the session name.
+ * @returns {Promise<void>}
+ */
+export const exportReprojection = async (blob, view, options, baseName) => {
+  const { extension } = getExportFormat(options.format);
+  const files = await reprojectPanorama(blob, view, options);
+  if (files.length === 1) {
+    saveAs(files[0].blob, `${baseName}-${files[0].name}.${extension}`);
+    return;
+  }
+
+  const entries = {};
+  for (const file of files) {
+    // Already compressed images are stored as they are
+    entries[`${file.name}.${extension}`] = [new Uint8Array(await file.blob.arrayBuffer()), { level: 0 }];
+  }
+  const data = await new Promise((resolve, reject) => {
+    zip(entries, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+  saveAs(new Blob([data], { type: 'application/zip' }), `${baseName}-${view.kind}.zip`);
+};
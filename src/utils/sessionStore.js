@@ -0,0 +1,328 @@
+/**
+ * IndexedDB persistence for capture sessions.
+ *
+ * - sessions: one record per capture session (name, plan, FOV, queue state, status, thumbnail)
+ * - captures: one record per accepted frame (image Blob + pose metadata), indexed by sessionId
+ * - panoramas: the latest stitched result of a session (image Blob), keyed by sessionId
+ * - tiles: the multi-resolution cube tiles of a panorama (see tilePyramid.js),
+ *   keyed by [sessionId, level, face, row, col]
+ * - outbox: sessions waiting for the network to be uploaded, keyed by sessionId
+ *   (flushed by public/sw.js, which reads this database directly)
+ *
+ * Session status: 'capturing' | 'captured' | 'queued' | 'stitched' | 'failed'
+ */
+
+const DB_NAME = 'panorama-app';
+const DB_VERSION = 4;
+const SESSIONS = 'sessions';
+const CAPTURES = 'captures';
+const PANORAMAS = 'panoramas';
+const OUTBOX = 'outbox';
+const TILES = 'tiles';
+
+let dbPromise = null;
+
+// Wrap an IDBRequest in a promise
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Resolve when a transaction has committed
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+/**
+ * Opens (and creates or upgrades) the database once per page.
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+export const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not available in this browser.'));
+      return;
+    }
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(SESSIONS)) {
+        db.createObjectStore(SESSIONS, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(CAPTURES)) {
+        const captures = db.createObjectStore(CAPTURES, { keyPath: 'id' });
+        captures.createIndex('sessionId', 'sessionId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains(PANORAMAS)) {
+        db.createObjectStore(PANORAMAS, { keyPath: 'sessionId' });
+      }
+      if (!db.objectStoreNames.contains(OUTBOX)) {
+        db.createObjectStore(OUTBOX, { keyPath: 'sessionId' });
+      }
+      if (!db.objectStoreNames.contains(TILES)) {
+        db.createObjectStore(TILES, { keyPath: ['sessionId', 'level', 'face', 'row', 'col'] });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+  return dbPromise;
+};
+
+// Every tile key of a session: arrays sort after the numbers and strings of the other key parts
+const sessionTilesRange = (sessionId) => IDBKeyRange.bound([sessionId], [sessionId, []]);
+
+/**
+ * Generates an id for sessions and captures.
+ * @returns {string} Unique id.
+ */
+export const createId = () => {
+  if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+/**
+ * Creates or replaces a session record.
+ * @param {Object} session - Session record with an id.
+ * @returns {Promise<void>}
+ */
+export const saveSession = async (session) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(SESSIONS, 'readwrite');
+  transaction.objectStore(SESSIONS).put(session);
+  return transactionDone(transaction);
+};
+
+/**
+ * Merges changes into a session record, creating it if it does not exist yet.
+ * @param {string} id - Session id.
+ * @param {Object} changes - Fields to overwrite.
+ * @returns {Promise<void>}
+ */
+export const updateSession = async (id, changes) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(SESSIONS, 'readwrite');
+  const done = transactionDone(transaction);
+  const store = transaction.objectStore(SESSIONS);
+  const request = store.get(id);
+  request.onsuccess = () => {
+    store.put({ ...(request.result || {}), ...changes, id });
+  };
+  return done;
+};
+
+/**
+ * Display name of a session; falls back to its capture date.
+ * @param {Object} session - Session record.
+ * @returns {string} Name shown in the library.
+ */
+export const getSessionName = (session) =>
+  session.name || `Panorama ${new Date(session.createdAt).toLocaleString()}`;
+
+/**
+ * Reads one session.
+ * @param {string} id - Session id.
+ * @returns {Promise<Object|undefined>} The session, if it exists.
+ */
+export const getSession = async (id) => {
+  const db = await openDatabase();
+  return promisify(db.transaction(SESSIONS).objectStore(SESSIONS).get(id));
+};
+
+/**
+ * Lists sessions, most recently updated first.
+ * @returns {Promise<Object[]>} Session records.
+ */
+export const listSessions = async () => {
+  const db = await openDatabase();
+  const sessions = await promisify(db.transaction(SESSIONS).objectStore(SESSIONS).getAll());
+  return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+/**
+ * Finds the most recent session that was left in the middle of capturing.
+ * @returns {Promise<Object|null>} The session, or null.
+ */
+export const getResumableSession = async () => {
+  const sessions = await listSessions();
+  return sessions.find(session => session.status === 'capturing') || null;
+};
+
+/**
+ * Deletes a session with all of its captures, its stitched panorama and tiles and any pending upload.
+ * @param {string} id - Session id.
+ * @returns {Promise<void>}
+ */
+export const deleteSession = async (id) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([SESSIONS, CAPTURES, PANORAMAS, TILES, OUTBOX], 'readwrite');
+  const done = transactionDone(transaction);
+  transaction.objectStore(SESSIONS).delete(id);
+  transaction.objectStore(PANORAMAS).delete(id);
+  transaction.objectStore(TILES).delete(sessionTilesRange(id));
+  transaction.objectStore(OUTBOX).delete(id);
+
+  const captures = transaction.objectStore(CAPTURES);
+  const cursorRequest = captures.index('sessionId').openKeyCursor(IDBKeyRange.only(id));
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (cursor) {
+      captures.delete(cursor.primaryKey);
+      cursor.continue();
+    }
+  };
+  return done;
+};
+
+/**
+ * Stores one captured frame.
+ * @param {Object} capture - Capture record ({ id, sessionId, blob, azimuth, elevation, ... }).
+ * @returns {Promise<void>}
+ */
+export const saveCapture = async (capture) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(CAPTURES, 'readwrite');
+  transaction.objectStore(CAPTURES).put(capture);
+  return transactionDone(transaction);
+};
+
+/**
+ * Stores a session together with its captures, all or nothing.
+ * @param {Object} session - Session record with an id.
+ * @param {Object[]} captures - Capture records of the session.
+ * @returns {Promise<void>}
+ */
+export const saveSessionWithCaptures = async (session, captures) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([SESSIONS, CAPTURES], 'readwrite');
+  transaction.objectStore(SESSIONS).put(session);
+  const store = transaction.objectStore(CAPTURES);
+  captures.forEach(capture => store.put(capture));
+  return transactionDone(transaction);
+};
+
+/**
+ * Deletes one captured frame.
+ * @param {string} id - Capture id.
+ * @returns {Promise<void>}
+ */
+export const deleteCapture = async (id) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(CAPTURES, 'readwrite');
+  transaction.objectStore(CAPTURES).delete(id);
+  return transactionDone(transaction);
+};
+
+/**
+ * Reads the captures of a session in the order they were taken.
+ * @param {string} sessionId - Session id.
+ * @returns {Promise<Object[]>} Capture records.
+ */
+export const getSessionCaptures = async (sessionId) => {
+  const db = await openDatabase();
+  const index = db.transaction(CAPTURES).objectStore(CAPTURES).index('sessionId');
+  const captures = await promisify(index.getAll(sessionId));
+  return captures.sort((a, b) => a.timestamp - b.timestamp);
+};
+
+/**
+ * Stores the stitched panorama of a session, replacing any earlier result and its tiles.
+ * @param {Object} panorama - Panorama record ({ sessionId, blob, method, createdAt, tiles? }).
+ * @returns {Promise<void>}
+ */
+export const savePanorama = async (panorama) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([PANORAMAS, TILES], 'readwrite');
+  transaction.objectStore(PANORAMAS).put(panorama);
+  transaction.objectStore(TILES).delete(sessionTilesRange(panorama.sessionId));
+  return transactionDone(transaction);
+};
+
+/**
+ * Records that the tile pyramid of a session's panorama is complete.
+ * @param {string} sessionId - Session id.
+ * @param {number} createdAt - createdAt of the panorama the tiles were rendered from.
+ * @param {Object} tiles - Tile set ({ tileSize, levelCount, format }).
+ * @returns {Promise<void>}
+ */
+export const savePanoramaTiles = async (sessionId, createdAt, tiles) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(PANORAMAS, 'readwrite');
+  const store = transaction.objectStore(PANORAMAS);
+  const request = store.get(sessionId);
+  request.onsuccess = () => {
+    // The panorama may have been replaced or deleted while the tiles were rendered
+    if (request.result?.createdAt === createdAt) store.put({ ...request.result, tiles });
+  };
+  return transactionDone(transaction);
+};
+
+/**
+ * Stores pyramid tiles of a session's panorama.
+ * @param {Array<Object>} tiles - Tile records ({ sessionId, level, face, row, col, blob }).
+ * @returns {Promise<void>}
+ */
+export const saveTiles = async (tiles) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(TILES, 'readwrite');
+  const store = transaction.objectStore(TILES);
+  tiles.forEach(tile => store.put(tile));
+  return transactionDone(transaction);
+};
+
+/**
+ * Reads one pyramid tile.
+ * @param {string} sessionId - Session id.
+ * @param {number} level - Pyramid level (0 is the coarsest).
+ * @param {string} face - Cube face name.
+ * @param {number} row - Tile row from the top of the face.
+ * @param {number} col - Tile column from the left of the face.
+ * @returns {Promise<Blob|undefined>} The tile image, if it is stored.
+ */
+export const getTile = async (sessionId, level, face, row, col) => {
+  const db = await openDatabase();
+  const tile = await promisify(db.transaction(TILES).objectStore(TILES).get([sessionId, level, face, row, col]));
+  return tile?.blob;
+};
+
+/**
+ * Reads the stitched panorama of a session.
+ * @param {string} sessionId - Session id.
+ * @returns {Promise<Object|undefined>} The panorama record, if the session was stitched.
+ */
+export const getPanorama = async (sessionId) => {
+  const db = await openDatabase();
+  return promisify(db.transaction(PANORAMAS).objectStore(PANORAMAS).get(sessionId));
+};
+
+/**
+ * Adds or replaces a pending upload.
+ * @param {Object} entry - Outbox record ({ sessionId, config, queuedAt, attempts, jobId?, lastError? }).
+ * @returns {Promise<void>}
+ */
+export const saveOutboxEntry = async (entry) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(OUTBOX, 'readwrite');
+  transaction.objectStore(OUTBOX).put(entry);
+  return transactionDone(transaction);
+};
+
+/**
+ * Removes a pending upload.
+ * @param {string} sessionId - Session id.
+ * @returns {Promise<void>}
+ */
+export const deleteOutboxEntry = async (sessionId) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(OUTBOX, 'readwrite');
+  transaction.objectStore(OUTBOX).delete(sessionId);
+  return transactionDone(transaction);
+};
@@ -0,0 +1,91 @@
+/**
+ * Stitching backend configuration.
+ *
+ * Defaults come from Vite env vars and can be overridden at runtime from the settings
+ * panel (persisted in localStorage):
+ * - VITE_STITCH_PROVIDER: default provider id ('remote', 'opencv' or 'pose')
+ * - VITE_STITCH_ENDPOINT: URL of the remote stitching service
+ * - VITE_STITCH_HEADERS: JSON object of extra request headers, e.g. {"Authorization": "Bearer ..."}
+ * - VITE_STITCH_TIMEOUT: request timeout in milliseconds (0 disables it)
+ * - VITE_STITCH_PROTOCOL: 'sync' (one request answering with the image), 'jobs' (see stitchJobs.js)
+ *   or 'chunked' (resumable per-file upload committed as a job, see chunkedUpload.js)
+ * - VITE_STITCH_JOB_UPDATES: how job status is followed, 'poll' or 'sse'
+ */
+
+import { DEFAULT_POLL_INTERVAL } from './stitchJobs';
+import { DEFAULT_CHUNK_SIZE } from './chunkedUpload';
+
+const STORAGE_KEY = 'panorama.stitchConfig';
+
+// Parse VITE_STITCH_HEADERS, ignoring anything that is not a JSON object
+const parseEnvHeaders = (value) => {
+  if (!value) return {};
+  try {
+    const headers = JSON.parse(value);
+    return headers && typeof headers === 'object' && !Array.isArray(headers) ? headers : {};
+  } catch (err) {
+    console.warn('Ignoring invalid VITE_STITCH_HEADERS:', err);
+    return {};
+  }
+};
+
+export const DEFAULT_STITCH_CONFIG = {
+  provider: import.meta.env.VITE_STITCH_PROVIDER || 'remote',
+  endpoint: import.meta.env.VITE_STITCH_ENDPOINT || 'https://python.phpnode.net/stitch',
+  headers: parseEnvHeaders(import.meta.env.VITE_STITCH_HEADERS),
+  timeout: Number(import.meta.env.VITE_STITCH_TIMEOUT) || 0,
+  protocol: import.meta.env.VITE_STITCH_PROTOCOL || 'sync',
+  jobUpdates: import.meta.env.VITE_STITCH_JOB_UPDATES || 'poll',
+  pollInterval: DEFAULT_POLL_INTERVAL,
+  chunkSize: DEFAULT_CHUNK_SIZE,
+};
+
+/**
+ * Formats headers as one "Name: value" line each, for editing.
+ * @param {Object<string, string>} headers - Header map.
+ * @returns {string} Header lines.
+ */
+export const formatHeaders = (headers) =>
+  Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+
+/**
+ * Parses "Name: value" lines into a header map; lines without a colon are skipped.
+ * @param {string} text - Header lines.
+ * @returns {Object<string, string>} Header map.
+ */
+export const parseHeaders = (text) => {
+  const headers = {};
+  text.split('\n').forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator <= 0) return;
+    const name = line.slice(0, separator).trim();
+    if (name) headers[name] = line.slice(separator + 1).trim();
+  });
+  return headers;
+};
+
+/**
+ * Loads the saved configuration merged over the env defaults.
+ * @returns {Object} Stitch configuration.
+ */
+export const loadStitchConfig = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return { ...DEFAULT_STITCH_CONFIG, ...(saved || {}) };
+  } catch (err) {
+    console.warn('Ignoring unreadable stitch configuration:', err);
+    return { ...DEFAULT_STITCH_CONFIG };
+  }
+};
+
+/**
+ * Saves the configuration for the next session.
+ * @param {Object} config - Stitch configuration.
+ */
+export const saveStitchConfig = (config) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+  } catch (err) {
+    console.warn('Unable to save stitch configuration:', err);
+  }
+};
@@ -0,0 +1,87 @@
+/**
+ * Offline stitching through web workers.
+ *
+ * - stitchInBrowser: OpenCV Stitcher (src/components/stitchWorker.js). OpenCV.js is
+ *   loaded inside the worker from VITE_OPENCV_URL; the build must include the stitching
+ *   module, which neither the npm package nor the official builds do (see .env.example).
+ *   Without the variable on-device stitching is not offered.
+ * - poseStitch: projects frames from their recorded orientation
+ *   (src/components/poseStitchWorker.js). Needs no OpenCV.
+ */
+
+export const OPENCV_URL = import.meta.env.VITE_OPENCV_URL || null;
+
+// Default equirectangular width for pose stitching (height is half)
+export const POSE_STITCH_WIDTH = 2048;
+
+// Runs one stitch request on a worker and settles with the resulting Blob
+const runStitchWorker = (worker, message, { onProgress, signal } = {}) => {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      worker.terminate();
+      reject(new DOMException('Stitching cancelled.', 'AbortError'));
+      return;
+    }
+
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const onAbort = () => {
+      finish();
+      reject(new DOMException('Stitching cancelled.', 'AbortError'));
+    };
+    signal?.addEventListener('abort', onAbort);
+
+    worker.onmessage = (e) => {
+      const data = e.data;
+      if (data.type === 'progress') {
+        if (onProgress) onProgress({ stage: data.stage, percent: data.percent });
+      } else if (data.type === 'done') {
+        finish();
+        resolve(data.blob);
+      } else if (data.type === 'error') {
+        finish();
+        reject(new Error(data.message));
+      }
+    };
+    worker.onerror = (e) => {
+      finish();
+      reject(new Error(e.message || 'The stitching worker crashed.'));
+    };
+
+    worker.postMessage(message);
+  });
+};
+
+/**
+ * Stitches captured frames into an equirectangular JPEG with the OpenCV Stitcher.
+ * @param {Array<{blob: Blob, azimuth: number, elevation: number}>} images - Captured frames.
+ * @param {Object} options
+ * @param {{hfov: number, vfov: number}} options.fov - Camera FOV, used to place the stitch on the sphere.
+ * @param {function({stage: string, percent: number}): void} [options.onProgress] - Progress callback.
+ * @param {AbortSignal} [options.signal] - Aborting terminates the worker.
+ * @returns {Promise<Blob>} Resolves with the stitched panorama, rejects with an AbortError when cancelled.
+ */
+export const stitchInBrowser = (images, { fov, ...options }) => {
+  if (!OPENCV_URL) {
+    return Promise.reject(new Error('On-device stitching needs VITE_OPENCV_URL to point at an OpenCV.js build.'));
+  }
+  const worker = new Worker(new URL('../components/stitchWorker.js', import.meta.url));
+  return runStitchWorker(worker, { type: 'stitch', opencvUrl: OPENCV_URL, fov, images }, options);
+};
+
+/**
+ * Projects captured frames onto an equirectangular JPEG from their known orientation.
+ * @param {Array<{blob: Blob, azimuth: number, elevation: number}>} images - Captured frames.
+ * @param {Object} options
+ * @param {{hfov: number, vfov: number}} options.fov - Camera FOV the frames were taken with.
+ * @param {number} [options.width=POSE_STITCH_WIDTH] - Output width in pixels.
+ * @param {function({stage: string, percent: number}): void} [options.onProgress] - Progress callback.
+ * @param {AbortSignal} [options.signal] - Aborting terminates the worker.
+ * @returns {Promise<Blob>} Resolves with the projected panorama, rejects with an AbortError when cancelled.
+ */
+export const poseStitch = (images, { fov, width = POSE_STITCH_WIDTH, ...options }) => {
+  const worker = new Worker(new URL('../components/poseStitchWorker.js', import.meta.url));
+  return runStitchWorker(worker, { type: 'stitch', fov, width, images }, options);
+};
@@ -0,0 +1,233 @@
+/**
+ * Client for the asynchronous stitch job protocol of the remote stitching service.
+ *
+ * - POST {endpoint}/jobs              multipart capture set   -> { jobId }
+ * - GET  {endpoint}/jobs/{id}         job status              -> { status, progress, error?, resultUrl? }
+ * - GET  {endpoint}/jobs/{id}/events  the same status objects as Server-Sent Events
+ * - GET  {endpoint}/jobs/{id}/result  stitched panorama (unless the status names a resultUrl)
+ * - DELETE {endpoint}/jobs/{id}       cancel the job
+ *
+ * status is 'queued' | 'processing' | 'done' | 'failed'; progress is a percentage.
+ * EventSource cannot send custom headers, so SSE only suits services that authenticate
+ * another way; any SSE error falls back to polling.
+ *
+ * The job being waited on is remembered in localStorage so a reload can reattach to it.
+ */
+
+import axios from 'axios';
+
+const STORAGE_KEY = 'panorama.stitchJob';
+
+export const DEFAULT_POLL_INTERVAL = 2000;
+
+const abortError = () => new DOMException('Stitching cancelled.', 'AbortError');
+
+/**
+ * Resolves after a delay, or rejects with an AbortError when the signal fires first.
+ * @param {number} ms - Delay in milliseconds.
+ * @param {AbortSignal} [signal] - Cancels the wait.
+ * @returns {Promise<void>}
+ */
+export const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(abortError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(abortError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const jobsUrl = (config) => `${config.endpoint.replace(/\/+$/, '')}/jobs`;
+const jobUrl = (config, jobId) => `${jobsUrl(config)}/${encodeURIComponent(jobId)}`;
+
+const requestOptions = (config, signal) => ({
+  headers: config.headers,
+  timeout: config.timeout,
+  signal,
+});
+
+/**
+ * Submits a capture set and returns the id of the created job.
+ * @param {FormData} formData - Images, plan and manifest.
+ * @param {Object} config - Stitch configuration.
+ * @param {Object} [options]
+ * @param {function({stage: string, percent: number}): void} [options.onProgress] - Upload progress.
+ * @param {AbortSignal} [options.signal] - Aborts the upload.
+ * @returns {Promise<string>} Job id.
+ */
+export const submitStitchJob = async (formData, config, { onProgress, signal } = {}) => {
+  const response = await axios.post(jobsUrl(config), formData, {
+    ...requestOptions(config, signal),
+    onUploadProgress: (progressEvent) => {
+      if (onProgress && progressEvent.total) {
+        onProgress({ stage: 'uploading', percent: Math.round((progressEvent.loaded * 100) / progressEvent.total) });
+      }
+    },
+  });
+  const jobId = response.data && (response.data.jobId || response.data.id);
+  if (!jobId) {
+    throw new Error('The stitching service did not return a job id.');
+  }
+  return String(jobId);
+};
+
+/**
+ * Reads the status of a job.
+ * @param {string} jobId - Job id.
+ * @param {Object} config - Stitch configuration.
+ * @param {AbortSignal} [signal] - Aborts the request.
+ * @returns {Promise<{status: string, progress?: number, error?: string, resultUrl?: string}>} Job status.
+ */
+export const getStitchJob = async (jobId, config, signal) => {
+  const response = await axios.get(jobUrl(config, jobId), requestOptions(config, signal));
+  return response.data;
+};
+
+/**
+ * Asks the service to drop a job. Failures are only logged.
+ * @param {string} jobId - Job id.
+ * @param {Object} config - Stitch configuration.
+ * @returns {Promise<void>}
+ */
+export const cancelStitchJob = async (jobId, config) => {
+  try {
+    await axios.delete(jobUrl(config, jobId), requestOptions(config));
+  } catch (err) {
+    console.warn('Unable to cancel stitch job:', err);
+  }
+};
+
+// Final outcome of a job status: the job when done, an Error when failed, null while running
+const outcome = (job) => {
+  if (job.status === 'done') return job;
+  if (job.status === 'failed') return new Error(job.error || 'Stitching failed on the server.');
+  return null;
+};
+
+// Follow a job through Server-Sent Events; rejects with { sseUnavailable: true } on connection errors
+const watchWithEvents = (jobId, config, onStatus, signal) => new Promise((resolve, reject) => {
+  const source = new EventSource(`${jobUrl(config, jobId)}/events`);
+  const close = () => {
+    source.close();
+    signal?.removeEventListener('abort', onAbort);
+  };
+  const onAbort = () => {
+    close();
+    reject(abortError());
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  source.onmessage = (event) => {
+    let job;
+    try {
+      job = JSON.parse(event.data);
+    } catch (err) {
+      console.warn('Ignoring malformed job event:', err);
+      return;
+    }
+    onStatus(job);
+    const result = outcome(job);
+    if (!result) return;
+    close();
+    if (result instanceof Error) reject(result);
+    else resolve(result);
+  };
+  source.onerror = () => {
+    close();
+    reject(Object.assign(new Error('Job events unavailable.'), { sseUnavailable: true }));
+  };
+});
+
+// Follow a job by polling its status
+const watchWithPolling = async (jobId, config, onStatus, signal) => {
+  const interval = config.pollInterval || DEFAULT_POLL_INTERVAL;
+  for (;;) {
+    const job = await getStitchJob(jobId, config, signal);
+    onStatus(job);
+    const result = outcome(job);
+    if (result instanceof Error) throw result;
+    if (result) return result;
+    await wait(interval, signal);
+  }
+};
+
+/**
+ * Waits for a job to finish and downloads the stitched panorama.
+ * @param {string} jobId - Job id.
+ * @param {Object} config - Stitch configuration (jobUpdates: 'poll' or 'sse').
+ * @param {Object} [options]
+ * @param {function({stage: string, percent: number}): void} [options.onProgress] - Job progress.
+ * @param {AbortSignal} [options.signal] - Stops waiting (the job keeps running on the server).
+ * @returns {Promise<Blob>} The stitched panorama.
+ */
+export const waitForStitchJob = async (jobId, config, { onProgress, signal } = {}) => {
+  const onStatus = (job) => {
+    if (onProgress && (job.status === 'queued' || job.status === 'processing')) {
+      onProgress({ stage: job.status, percent: Math.round(job.progress || 0) });
+    }
+  };
+
+  let job;
+  if (config.jobUpdates === 'sse' && typeof EventSource === 'function') {
+    try {
+      job = await watchWithEvents(jobId, config, onStatus, signal);
+    } catch (err) {
+      if (!err.sseUnavailable) throw err;
+      console.warn('Falling back to polling the stitch job.');
+    }
+  }
+  if (!job) {
+    job = await watchWithPolling(jobId, config, onStatus, signal);
+  }
+
+  if (onProgress) onProgress({ stage: 'downloading', percent: 100 });
+  // resultUrl may be relative to the job URL
+  const resultUrl = job.resultUrl
+    ? new URL(job.resultUrl, new URL(`${jobUrl(config, jobId)}/`, window.location.href)).href
+    : `${jobUrl(config, jobId)}/result`;
+  const response = await axios.get(resultUrl, { ...requestOptions(config, signal), responseType: 'blob' });
+  return new Blob([response.data], { type: response.data.type || 'image/jpeg' });
+};
+
+/**
+ * Remembers the job being waited on.
+ * @param {{jobId: string, sessionId?: string, providerId: string, startedAt: number}} job - Active job.
+ */
+export const saveActiveStitchJob = (job) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(job));
+  } catch (err) {
+    console.warn('Unable to save stitch job:', err);
+  }
+};
+
+/**
+ * Reads the job a previous page load was waiting on.
+ * @returns {Object|null} Active job, or null.
+ */
+export const loadActiveStitchJob = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch (err) {
+    console.warn('Ignoring unreadable stitch job:', err);
+    return null;
+  }
+};
+
+/**
+ * Forgets the active job.
+ */
+export const clearActiveStitchJob = () => {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (err) {
+    console.warn('Unable to clear stitch job:', err);
+  }
+};
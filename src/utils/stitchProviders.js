@@ -0,0 +1,152 @@
+/**
+ * Pluggable stitchers. Every provider turns captured frames into an equirectangular
+ * panorama Blob with the same call signature, so the viewer can offer whichever are
+ * registered without knowing how they work:
+ *
+ *   provider.stitch(frames, { plan, fov, config, sessionId, onProgress, onJob, signal }) => Promise<Blob>
+ *
+ * frames: [{ blob, width, height, azimuth, elevation, quaternion, roll, alignmentError, timestamp }]
+ * onProgress receives { stage, percent, files? }; aborting the signal rejects with an AbortError.
+ * Errors caused by a missing network connection carry offline: true.
+ * Providers backed by server-side jobs report the job id through onJob so it can be reattached.
+ */
+
+import axios from 'axios';
+import { OPENCV_URL, poseStitch, stitchInBrowser } from './stitchInBrowser';
+import { submitStitchJob, waitForStitchJob } from './stitchJobs';
+import { uploadCaptureSet } from './chunkedUpload';
+import { buildCaptureManifest, frameFilename } from './captureManifest';
+
+// Multipart body of the remote service: the frames, plan and capture manifest
+const buildStitchFormData = (frames, plan, manifest) => {
+  const formData = new FormData();
+  frames.forEach((frame, index) => formData.append('images', frame.blob, frameFilename(frame, index)));
+
+  // Send the capture plan along so the session can be reproduced
+  formData.append('plan', JSON.stringify(plan));
+  formData.append('manifest', JSON.stringify(manifest));
+  return formData;
+};
+
+// Turn request failures into errors worth showing to the user
+const toStitchError = (err, config) => {
+  if (axios.isCancel(err)) {
+    return new DOMException('Stitching cancelled.', 'AbortError');
+  }
+  if (err.code === 'ECONNABORTED') {
+    return new Error(`The stitching service did not answer within ${config.timeout / 1000}s.`);
+  }
+  if (err.response) {
+    return new Error(`The stitching service responded with status ${err.response.status}.`);
+  }
+  // No answer at all: flagged so the upload can wait in the outbox for the network
+  if (err.code === 'ERR_NETWORK' || !navigator.onLine) {
+    return Object.assign(new Error('The stitching service could not be reached.'), { offline: true });
+  }
+  return err;
+};
+
+// Single request that answers with the panorama bytes
+const stitchSync = async (formData, { config, onProgress, signal }) => {
+  const response = await axios.post(config.endpoint, formData, {
+    headers: config.headers,
+    timeout: config.timeout,
+    responseType: 'blob',
+    signal,
+    onUploadProgress: (progressEvent) => {
+      if (onProgress && progressEvent.total) {
+        onProgress({ stage: 'uploading', percent: Math.round((progressEvent.loaded * 100) / progressEvent.total) });
+      }
+    },
+  });
+  // The stitched panorama is returned as binary data
+  return new Blob([response.data], { type: 'image/jpeg' });
+};
+
+// Remote HTTP service: one long request ('sync'), a job to follow ('jobs'),
+// or a resumable per-file upload committed as a job ('chunked')
+const remoteProvider = {
+  id: 'remote',
+  name: 'Upload & Stitch',
+  description: 'Send the captures to the stitching service.',
+  stitch: async (frames, { plan, fov, config, sessionId, onProgress, onJob, signal }) => {
+    if (!config || !config.endpoint) {
+      throw new Error('No stitching endpoint is configured.');
+    }
+
+    try {
+      const manifest = await buildCaptureManifest(frames, { plan, fov });
+      let jobId;
+      if (config.protocol === 'chunked') {
+        jobId = await uploadCaptureSet(
+          frames.map((frame, index) => ({ filename: frameFilename(frame, index), blob: frame.blob })),
+          { config, plan, manifest, resumeKey: sessionId, onProgress, signal }
+        );
+      } else if (config.protocol === 'jobs') {
+        jobId = await submitStitchJob(buildStitchFormData(frames, plan, manifest), config, { onProgress, signal });
+      } else {
+        return await stitchSync(buildStitchFormData(frames, plan, manifest), { config, onProgress, signal });
+      }
+      if (onJob) onJob(jobId);
+      return await waitForStitchJob(jobId, config, { onProgress, signal });
+    } catch (err) {
+      throw toStitchError(err, config);
+    }
+  },
+};
+
+/**
+ * Follows a remote stitch job submitted before a reload.
+ * @param {string} jobId - Job id.
+ * @param {Object} options
+ * @param {Object} options.config - Stitch configuration.
+ * @param {function({stage: string, percent: number}): void} [options.onProgress] - Job progress.
+ * @param {AbortSignal} [options.signal] - Stops waiting.
+ * @returns {Promise<Blob>} The stitched panorama.
+ */
+export const reattachRemoteStitchJob = async (jobId, { config, onProgress, signal }) => {
+  try {
+    return await waitForStitchJob(jobId, config, { onProgress, signal });
+  } catch (err) {
+    throw toStitchError(err, config);
+  }
+};
+
+// OpenCV feature-matching stitch in a worker
+const opencvProvider = {
+  id: 'opencv',
+  name: 'Stitch on Device',
+  description: 'Feature-matching stitch with OpenCV in the browser.',
+  stitch: (frames, { fov, onProgress, signal }) => stitchInBrowser(frames, { fov, onProgress, signal }),
+};
+
+// Instant projection from the recorded capture orientations (no feature matching)
+const poseProvider = {
+  id: 'pose',
+  name: 'Pose Stitch (Instant)',
+  description: 'Project the captures from their recorded orientation.',
+  stitch: (frames, { fov, onProgress, signal }) => poseStitch(frames, { fov, onProgress, signal }),
+};
+
+// On-device stitching is only offered when an OpenCV.js build with the Stitcher is configured
+export const STITCH_PROVIDERS = [remoteProvider, ...(OPENCV_URL ? [opencvProvider] : []), poseProvider];
+
+/**
+ * Adds a provider or replaces the one with the same id.
+ * @param {{id: string, name: string, description?: string, stitch: Function}} provider - Stitch provider.
+ */
+export const registerStitchProvider = (provider) => {
+  const index = STITCH_PROVIDERS.findIndex(existing => existing.id === provider.id);
+  if (index >= 0) {
+    STITCH_PROVIDERS[index] = provider;
+  } else {
+    STITCH_PROVIDERS.push(provider);
+  }
+};
+
+/**
+ * Looks up a provider by id.
+ * @param {string} id - Provider id.
+ * @returns {Object|undefined} The provider.
+ */
+export const getStitchProvider = (id) => STITCH_PROVIDERS.find(provider => provider.id === id);
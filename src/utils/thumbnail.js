@@ -0,0 +1,22 @@
+/**
+ * Small JPEG previews for the session library.
+ */
+
+export const THUMBNAIL_WIDTH = 240;
+
+/**
+ * Scales an image down to a thumbnail.
+ * @param {Blob} blob - Source image.
+ * @param {number} [maxWidth=THUMBNAIL_WIDTH] - Thumbnail width in pixels (never upscaled).
+ * @returns {Promise<string>} JPEG data URL.
+ */
+export const createThumbnail = async (blob, maxWidth = THUMBNAIL_WIDTH) => {
+  const bitmap = await createImageBitmap(blob);
+  const scale = Math.min(1, maxWidth / bitmap.width);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return canvas.toDataURL('image/jpeg', 0.7);
+};
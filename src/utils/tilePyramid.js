@@ -0,0 +1,121 @@
+/**
+ * Multi-resolution cube tile pyramids of stitched panoramas, in the style of Marzipano
+ * and krpano levels, so panoramas beyond the GPU texture limit stay sharp: the viewer
+ * streams only the tiles in view at the level matching the zoom (see tiledPanorama.js).
+ *
+ * Level n holds the six cube faces (front, right, back, left, up, down) rendered at
+ * tileSize·2^n pixels and cut into 2^n × 2^n tiles, so level 0 is one tile per face and
+ * the top level about matches the resolution of the panorama's equator. Tiles are
+ * rendered by src/components/reprojectWorker.js and kept in IndexedDB with the panorama;
+ * the panorama record's `tiles` ({ tileSize, levelCount, format }) marks a complete set.
+ */
+
+import { getPanorama, getTile, savePanoramaTiles, saveTiles } from './sessionStore';
+import { reprojectPanorama } from './panoramaReproject';
+
+export const TILE_SIZE = 512;
+
+// Panoramas wider than this (or than the GPU allows) are viewed as tiles
+export const TILING_THRESHOLD = 8192;
+
+const TILE_FORMAT = 'image/jpeg';
+const TILE_QUALITY = 0.85;
+
+// Tiles are written in batches to keep the number of transactions down
+const SAVE_BATCH_SIZE = 24;
+
+/**
+ * Pixel size of an encoded image, read without decoding it onto a texture.
+ * @param {Blob} blob - Image.
+ * @returns {Promise<{width: number, height: number}>} Natural size.
+ */
+export const readImageSize = (blob) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(blob);
+  const img = new Image();
+  img.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve({ width: img.naturalWidth, height: img.naturalHeight });
+  };
+  img.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Unable to read the panorama image.'));
+  };
+  img.src = url;
+});
+
+/**
+ * Whether a panorama is too large to be viewed as one texture.
+ * @param {Blob} blob - Equirectangular panorama.
+ * @param {number} maxTextureSize - The renderer's MAX_TEXTURE_SIZE.
+ * @returns {Promise<boolean>} True when it should be tiled.
+ */
+export const needsTiling = async (blob, maxTextureSize) => {
+  const { width } = await readImageSize(blob);
+  return width > Math.min(maxTextureSize, TILING_THRESHOLD);
+};
+
+/**
+ * Renders the tile pyramid of a session's panorama and stores it.
+ * @param {string} sessionId - Session id.
+ * @param {Object} panorama - The session's panorama record ({ blob, createdAt }).
+ * @param {Object} [options]
+ * @param {function({stage: string, percent: number}): void} [options.onProgress] - Progress callback.
+ * @param {AbortSignal} [options.signal] - Aborting stops rendering; stored tiles stay unused.
+ * @returns {Promise<Object>} The tile set ({ tileSize, levelCount, format }).
+ */
+export const storeTilePyramid = async (sessionId, panorama, { onProgress, signal } = {}) => {
+  let batch = [];
+  let saving = Promise.resolve();
+  let levelCount = 0;
+  const flush = () => {
+    const tiles = batch;
+    batch = [];
+    saving = saving.then(() => saveTiles(tiles));
+  };
+
+  await reprojectPanorama(panorama.blob, { kind: 'tiles', tileSize: TILE_SIZE }, {
+    format: TILE_FORMAT,
+    quality: TILE_QUALITY,
+    onProgress,
+    signal,
+    onTile: (tile) => {
+      levelCount = Math.max(levelCount, tile.level + 1);
+      batch.push({ sessionId, ...tile });
+      if (batch.length >= SAVE_BATCH_SIZE) flush();
+    },
+  });
+  flush();
+  await saving;
+
+  const tiles = { tileSize: TILE_SIZE, levelCount, format: TILE_FORMAT };
+  await savePanoramaTiles(sessionId, panorama.createdAt, tiles);
+  return tiles;
+};
+
+/**
+ * Tile source for the viewer, reading a stored pyramid.
+ * @param {string} sessionId - Session id.
+ * @param {Object} tiles - Tile set ({ tileSize, levelCount, format }).
+ * @returns {Object} { tileSize, levelCount, loadTile(level, face, row, col) => Promise<Blob|undefined> }.
+ */
+export const createTileSource = (sessionId, { tileSize, levelCount }) => ({
+  tileSize,
+  levelCount,
+  loadTile: (level, face, row, col) => getTile(sessionId, level, face, row, col),
+});
+
+/**
+ * Tile source of a session's panorama when it is too large for one texture, rendering
+ * the pyramid the first time.
+ * @param {string} sessionId - Session id.
+ * @param {number} maxTextureSize - The renderer's MAX_TEXTURE_SIZE.
+ * @param {Object} [options] - See storeTilePyramid.
+ * @returns {Promise<Object|null>} The tile source, or null for panoramas that fit one texture.
+ */
+export const loadTileSource = async (sessionId, maxTextureSize, options) => {
+  const panorama = await getPanorama(sessionId);
+  if (!panorama) return null;
+  if (panorama.tiles) return createTileSource(sessionId, panorama.tiles);
+  if (!(await needsTiling(panorama.blob, maxTextureSize))) return null;
+  return createTileSource(sessionId, await storeTilePyramid(sessionId, panorama, options));
+};
@@ -0,0 +1,188 @@
+/**
+ * Streams a cube tile pyramid (see tilePyramid.js) into a Three.js scene, so large
+ * panoramas are drawn from small textures instead of one giant one.
+ *
+ * Level 0 (one tile per face) is always loaded as the fallback. Each frame picks the
+ * level whose faces cover about one tile pixel per screen pixel at the current zoom,
+ * loads its tiles that are in view and draws every loaded tile of that level and the
+ * coarser ones, finer over coarser. Textures of finer tiles out of view are released
+ * once more than MAX_CACHED_TILES are loaded.
+ */
+
+import * as THREE from 'three';
+
+// Face bases of src/components/reprojectWorker.js, which renders the tiles
+const CUBE_FACES = [
+  { name: 'front', forward: [0, 0, -1], right: [1, 0, 0], up: [0, 1, 0] },
+  { name: 'right', forward: [1, 0, 0], right: [0, 0, 1], up: [0, 1, 0] },
+  { name: 'back', forward: [0, 0, 1], right: [-1, 0, 0], up: [0, 1, 0] },
+  { name: 'left', forward: [-1, 0, 0], right: [0, 0, -1], up: [0, 1, 0] },
+  { name: 'up', forward: [0, 1, 0], right: [1, 0, 0], up: [0, 0, 1] },
+  { name: 'down', forward: [0, -1, 0], right: [1, 0, 0], up: [0, 0, -1] },
+];
+
+const MAX_CACHED_TILES = 96;
+const MAX_CONCURRENT_LOADS = 4;
+
+// Tile placement on a cube of half-size `radius`: centred on the face, facing the origin
+const createTileRecords = (source, radius) => {
+  const levels = [];
+  const basis = new THREE.Matrix4();
+  for (let level = 0; level < source.levelCount; level++) {
+    const tilesPerSide = 2 ** level;
+    const span = 2 / tilesPerSide;
+    const tiles = [];
+    for (const face of CUBE_FACES) {
+      const forward = new THREE.Vector3(...face.forward);
+      const right = new THREE.Vector3(...face.right);
+      const up = new THREE.Vector3(...face.up);
+      basis.makeBasis(right, up, forward.clone().negate());
+      const quaternion = new THREE.Quaternion().setFromRotationMatrix(basis);
+      for (let row = 0; row < tilesPerSide; row++) {
+        for (let col = 0; col < tilesPerSide; col++) {
+          const x = -1 + span * (col + 0.5);
+          const y = 1 - span * (row + 0.5);
+          const position = forward.clone()
+            .addScaledVector(right, x)
+            .addScaledVector(up, y)
+            .multiplyScalar(radius);
+          tiles.push({
+            level,
+            face: face.name,
+            row,
+            col,
+            position,
+            quaternion,
+            size: span * radius,
+            bounds: new THREE.Sphere(position, (span * radius) / Math.SQRT2),
+            state: 'idle', // 'idle' | 'loading' | 'loaded' | 'failed'
+            mesh: null,
+            lastUsed: 0,
+          });
+        }
+      }
+    }
+    levels.push(tiles);
+  }
+  return levels;
+};
+
+/**
+ * Creates the tiled panorama.
+ * @param {Object} source - Tile source ({ tileSize, levelCount, loadTile(level, face, row, col) }).
+ * @param {number} radius - Half the size of the cube the tiles are drawn on.
+ * @returns {{object: THREE.Group, update: function(THREE.PerspectiveCamera, number): void, dispose: function(): void}}
+ *   Call update(camera, viewportHeight) before every render, with the height in device pixels.
+ */
+export const createTiledPanorama = (source, radius) => {
+  const group = new THREE.Group();
+  const levels = createTileRecords(source, radius);
+  // Tile images are uploaded unflipped (ImageBitmaps ignore flipY), so the UVs are flipped instead
+  const geometry = new THREE.PlaneGeometry(1, 1);
+  const uv = geometry.attributes.uv;
+  for (let i = 0; i < uv.count; i++) uv.setY(i, 1 - uv.getY(i));
+
+  const frustum = new THREE.Frustum();
+  const viewProjection = new THREE.Matrix4();
+  const worldBounds = new THREE.Sphere();
+  let frame = 0;
+  let loading = 0;
+  let loadedCount = 0;
+  let disposed = false;
+
+  const releaseTile = (tile) => {
+    group.remove(tile.mesh);
+    tile.mesh.material.map.image.close();
+    tile.mesh.material.map.dispose();
+    tile.mesh.material.dispose();
+    tile.mesh = null;
+    tile.state = 'idle';
+    loadedCount--;
+  };
+
+  const loadTile = async (tile) => {
+    tile.state = 'loading';
+    loading++;
+    try {
+      const blob = await source.loadTile(tile.level, tile.face, tile.row, tile.col);
+      if (!blob) throw new Error('Tile is missing.');
+      const bitmap = await createImageBitmap(blob);
+      if (disposed) {
+        bitmap.close();
+        return;
+      }
+      const texture = new THREE.Texture(bitmap);
+      texture.flipY = false;
+      texture.colorSpace = THREE.SRGBColorSpace;
+      texture.needsUpdate = true;
+      // Drawn in level order without depth, so finer tiles cover coarser ones
+      const material = new THREE.MeshBasicMaterial({ map: texture, depthTest: false, depthWrite: false });
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.position.copy(tile.position);
+      mesh.quaternion.copy(tile.quaternion);
+      mesh.scale.set(tile.size, tile.size, 1);
+      mesh.renderOrder = tile.level;
+      mesh.visible = false;
+      group.add(mesh);
+      tile.mesh = mesh;
+      tile.state = 'loaded';
+      loadedCount++;
+    } catch (err) {
+      console.warn(`Unable to load tile ${tile.level}/${tile.face}/${tile.row}/${tile.col}:`, err);
+      tile.state = 'failed';
+    } finally {
+      loading--;
+    }
+  };
+
+  // Finest level whose faces are needed to show one face pixel per screen pixel
+  const levelForView = (camera, viewportHeight) => {
+    const faceSize = viewportHeight / Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+    let level = 0;
+    while (level < levels.length - 1 && source.tileSize * 2 ** level < faceSize) level++;
+    return level;
+  };
+
+  const isInView = (tile) => frustum.intersectsSphere(worldBounds.copy(tile.bounds).applyMatrix4(group.matrixWorld));
+
+  const update = (camera, viewportHeight) => {
+    if (disposed) return;
+    frame++;
+    group.updateMatrixWorld();
+    camera.updateMatrixWorld();
+    viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    frustum.setFromProjectionMatrix(viewProjection);
+
+    const target = levelForView(camera, viewportHeight);
+    const wanted = [];
+    levels.forEach((tiles, level) => {
+      for (const tile of tiles) {
+        const inView = level === 0 || (level <= target && isInView(tile));
+        if (inView) tile.lastUsed = frame;
+        if (tile.mesh) tile.mesh.visible = inView;
+        // Only the base and the target level are fetched; levels in between show what is cached
+        if (tile.state === 'idle' && inView && (level === 0 || level === target)) wanted.push(tile);
+      }
+    });
+
+    for (const tile of wanted) {
+      if (loading >= MAX_CONCURRENT_LOADS) break;
+      loadTile(tile);
+    }
+
+    if (loadedCount > MAX_CACHED_TILES) {
+      const unused = levels.slice(1).flat()
+        .filter(tile => tile.state === 'loaded' && tile.lastUsed < frame)
+        .sort((a, b) => a.lastUsed - b.lastUsed);
+      unused.slice(0, loadedCount - MAX_CACHED_TILES).forEach(releaseTile);
+    }
+  };
+
+  const dispose = () => {
+    disposed = true;
+    levels.flat().filter(tile => tile.mesh).forEach(releaseTile);
+    geometry.dispose();
+  };
+
+  return { object: group, update, dispose };
+};